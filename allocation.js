@@ -0,0 +1,770 @@
+/**
+ * Allocation rules.
+ *
+ * Every rule gets the same inputs (topics + per-topic bid lists) and fills a
+ * Map(topicId -> [playerId]), one entry per seat won; computeWinners turns
+ * that into the { winnersByTopic, assignmentByPlayer } shape the client renders.
+ * Which rule runs is picked by room.config.allocation.
+ *
+ * A player may win up to `ctx.quota` slots in total
+ * (config.maxAssignmentsPerPlayer) and up to `topic.maxPerPlayer` of them in
+ * the same topic; both default to 1.
+ *
+ * With { trace: true } each rule also records the steps it took (see the
+ * `note` calls), so disputed results can be explained afterwards.
+ *
+ * Bidders are players or teams (room.bids is keyed by whoever holds the
+ * budget). A team is placed as a unit; `ctx.sizeOf(bidderId)` says how many
+ * seats it takes, which is 1 unless capacity is counted in members.
+ *
+ * Topics with a `minCapacity` that end up with some winners but fewer than
+ * that are cancelled one at a time (the emptiest first) and the rule runs
+ * again without them, until every remaining topic is empty or viable.
+ *
+ * Equal bids on a topic are ordered by room.config.tieBreak (see tieBreaker);
+ * the mode and seed used go out with the result so the draw can be checked.
+ *
+ * Host overrides (room.overrides) are applied before any rule runs; see
+ * applyOverrides.
+ */
+
+import { createHash } from "crypto";
+
+export const DEFAULT_ALLOCATION = "keep_highest";
+
+export const ALLOCATION_RULES = {
+	keep_highest: { label: "Keep highest bid", allocate: keepHighest },
+	max_welfare: { label: "Maximize total points", allocate: maxWelfare },
+	deferred_acceptance: { label: "Deferred acceptance (stable)", allocate: deferredAcceptance },
+	serial_dictatorship: { label: "Random serial dictatorship", allocate: serialDictatorship }
+};
+
+export const DEFAULT_TIE_BREAK = "lottery";
+
+export const TIE_BREAKS = {
+	earliest: { label: "Earliest bid" },
+	lottery: { label: "Seeded lottery" },
+	priority: { label: "Priority order" }
+};
+
+export function computeWinners(room, { trace = false, seed = "" } = {}) {
+	const topics = room.topics;
+	const rule = ALLOCATION_RULES[room.config.allocation] ? room.config.allocation : DEFAULT_ALLOCATION;
+	const tieBreak = {
+		mode: TIE_BREAKS[room.config.tieBreak] ? room.config.tieBreak : DEFAULT_TIE_BREAK,
+		seed: String(seed)
+	};
+
+	const steps = [];
+	const note = trace ? (step) => steps.push(step) : () => {};
+
+	const teams = room.teams ?? new Map();
+	const sizeOf = room.config.teamCapacity === "members"
+		? (id) => teams.get(id)?.memberIds.length || 1
+		: () => 1;
+
+	const tie = tieBreaker(room, tieBreak);
+	const bidLists = buildBidLists(room, tie);
+	const ctx = { sizeOf, quota: room.config.maxAssignmentsPerPlayer ?? 1, order: null, tie };
+	const cancelledTopics = []; // [{ topicId, minCapacity, seats, playerIds }]
+	const overrides = room.overrides ?? { pins: [], forbids: [] };
+	const pinnedByTopic = applyOverrides(room, overrides, bidLists, note);
+
+	// Pinned seats are taken before the rule starts, and a topic with pins always runs.
+	let open = topics.map(t => {
+		const pinned = pinnedByTopic.get(t.id);
+		if (!pinned) return t;
+		return { ...t, capacity: Math.max(0, t.capacity - seatsTaken(pinned, sizeOf)), minCapacity: 0 };
+	});
+	let winnersByTopic;
+	for (;;) {
+		winnersByTopic = ALLOCATION_RULES[rule].allocate(open, bidLists, note, ctx);
+
+		const underfilled = open
+			.map(t => ({ t, seats: seatsTaken(winnersByTopic.get(t.id), sizeOf) }))
+			.filter(({ t, seats }) => seats > 0 && seats < (t.minCapacity ?? 0))
+			.sort((a, b) => a.seats / a.t.minCapacity - b.seats / b.t.minCapacity);
+		if (!underfilled.length) break;
+
+		const { t, seats } = underfilled[0];
+		const playerIds = [...winnersByTopic.get(t.id)];
+		cancelledTopics.push({ topicId: t.id, minCapacity: t.minCapacity, seats, playerIds });
+		note({ step: "cancelled", topicId: t.id, minCapacity: t.minCapacity, seats, playerIds });
+		open = open.filter(o => o.id !== t.id);
+	}
+
+	for (const [topicId, pinned] of pinnedByTopic) {
+		winnersByTopic.set(topicId, [...pinned, ...(winnersByTopic.get(topicId) ?? [])]);
+	}
+
+	// Build output; teams are expanded to their members.
+	const result = {
+		rule,
+		tieBreak,
+		winnersByTopic: {}, // topicId -> [playerId]
+		teamsByTopic: {}, // topicId -> [teamId]
+		assignmentByPlayer: {}, // playerId -> [topicId], one per slot
+		cancelledTopics,
+		overrides: { pins: [...overrides.pins], forbids: [...overrides.forbids] } // as applied, so results can label them
+	};
+
+	for (const t of topics) {
+		result.winnersByTopic[t.id] = [];
+		result.teamsByTopic[t.id] = [];
+		for (const id of winnersByTopic.get(t.id) ?? []) {
+			const team = teams.get(id);
+			if (team) result.teamsByTopic[t.id].push(id);
+			result.winnersByTopic[t.id].push(...(team ? team.memberIds : [id]));
+		}
+	}
+
+	// assignmentByPlayer (invert)
+	for (const t of topics) {
+		for (const pid of result.winnersByTopic[t.id]) {
+			(result.assignmentByPlayer[pid] ??= []).push(t.id);
+		}
+	}
+
+	if (trace) result.trace = steps;
+	return result;
+}
+
+/**
+ * One player's side of a traced result:
+ * - bids: every topic they (or their team) bid on, whether they won it, where
+ *   they ranked and the lowest winning bid there (what it would have taken).
+ * - steps: the trace steps that mention them or their team.
+ */
+export function explainForPlayer(room, result, playerId) {
+	return explainer(room, result)(playerId);
+}
+
+/**
+ * explainForPlayer for many players at once: ranks the bids on each topic
+ * once up front, so each player's explanation only costs a pass over the topics.
+ */
+export function explainer(room, result) {
+	const bidLists = buildBidLists(room, tieBreaker(room, result.tieBreak ?? { mode: "earliest", seed: "" }));
+	const forbidden = new Set((result.overrides?.forbids ?? []).map(f => `${f.topicId}:${bidderOfPlayer(room, f.playerId)}`));
+
+	const topics = room.topics.map(t => {
+		const list = bidLists.get(t.id) ?? [];
+		const winners = new Set([...(result.winnersByTopic[t.id] ?? []), ...(result.teamsByTopic?.[t.id] ?? [])]);
+		const winningAmounts = list.filter(b => winners.has(b.playerId)).map(b => b.amount);
+		return {
+			id: t.id,
+			list,
+			rankOf: new Map(list.map((b, i) => [b.playerId, i])),
+			winners,
+			lowestWinningBid: winningAmounts.length ? Math.min(...winningAmounts) : null,
+			cancelled: !!result.cancelledTopics?.some(c => c.topicId === t.id)
+		};
+	});
+
+	return (playerId) => {
+		const bidderId = bidderOfPlayer(room, playerId);
+		const bids = [];
+
+		for (const t of topics) {
+			const rank = t.rankOf.get(bidderId);
+			if (rank === undefined) continue;
+
+			bids.push({
+				topicId: t.id,
+				amount: t.list[rank].amount,
+				rank: rank + 1,
+				bidders: t.list.length,
+				won: t.winners.has(bidderId),
+				lowestWinningBid: t.lowestWinningBid,
+				cancelled: t.cancelled,
+				forbidden: forbidden.has(`${t.id}:${bidderId}`)
+			});
+		}
+
+		const steps = (result.trace ?? []).filter(step =>
+			step.playerId === bidderId || step.playerIds?.includes(bidderId)
+		);
+
+		return {
+			assignedTopicIds: result.assignmentByPlayer[playerId] ?? [],
+			bids,
+			steps
+		};
+	};
+}
+
+/**
+ * Host overrides, { pins, forbids }, each [{ playerId, topicId }]:
+ * - a pin puts the player (their whole team, for a team member) on the topic
+ *   up front. Pinned bidders hold exactly their pins and sit the rule out;
+ *   the seats they take come off the topic's capacity.
+ * - a forbid drops the bidder's bid on that topic.
+ * The server only passes overrides that fit this round. Takes the affected
+ * bids out of `bidLists` and returns Map(topicId -> [bidderId]) of pins.
+ */
+function applyOverrides(room, { pins, forbids }, bidLists, note) {
+	const pinnedByTopic = new Map();
+	const pinnedBidders = new Set();
+	for (const { playerId, topicId } of pins) {
+		const bidderId = bidderOfPlayer(room, playerId);
+		const pinned = pinnedByTopic.get(topicId) ?? [];
+		// Team members pinned to the same topic are still one team on it.
+		if (pinned.includes(bidderId)) continue;
+		pinned.push(bidderId);
+		pinnedByTopic.set(topicId, pinned);
+		pinnedBidders.add(bidderId);
+		note({ step: "pinned", playerId: bidderId, topicId });
+	}
+
+	for (const [topicId, list] of bidLists) {
+		const kept = list.filter(b => {
+			if (pinnedBidders.has(b.playerId)) return false;
+			const forbidden = forbids.some(f => f.topicId === topicId && bidderOfPlayer(room, f.playerId) === b.playerId);
+			if (forbidden) note({ step: "forbidden", playerId: b.playerId, topicId, amount: b.amount });
+			return !forbidden;
+		});
+		bidLists.set(topicId, kept);
+	}
+
+	return pinnedByTopic;
+}
+
+function bidderOfPlayer(room, playerId) {
+	return room.players?.get(playerId)?.teamId ?? playerId;
+}
+
+/**
+ * How equal bids are ordered, for { mode, seed }:
+ * - earliest: the bid placed first wins.
+ * - lottery: each bidder draws sha256("<seed>:<bidderId>"), read as a hex
+ *   number; the lowest draw wins. Anyone with the seed can redo the draw.
+ * - priority: config.priorityOrder (player names, roster ids or player ids,
+ *   first = highest); a team ranks as its best-placed member. Bidders not on
+ *   the list come after it, in lottery order.
+ * Bidder ids break whatever is still tied. `order(ids)` sorts bidders alone,
+ * without a bid (used for the serial dictatorship draw).
+ */
+function tieBreaker(room, { mode, seed }) {
+	const draws = new Map();
+	const draw = (id) => {
+		if (!draws.has(id)) draws.set(id, parseInt(createHash("sha256").update(`${seed}:${id}`).digest("hex").slice(0, 12), 16));
+		return draws.get(id);
+	};
+
+	const ranks = new Map();
+	(room.config.priorityOrder ?? []).forEach((entry, i) => {
+		const key = entry.toLowerCase();
+		if (!ranks.has(key)) ranks.set(key, i);
+	});
+	const playerRank = (pid) => {
+		const p = room.players?.get(pid);
+		const keys = [pid, p?.rosterId, p?.name].filter(Boolean).map(k => k.toLowerCase());
+		return Math.min(Infinity, ...keys.map(k => ranks.get(k) ?? Infinity));
+	};
+	const rank = (id) => Math.min(Infinity, ...(room.teams?.get(id)?.memberIds ?? [id]).map(playerRank));
+
+	const byBidder = (a, b) => {
+		if (mode === "priority" && rank(a) !== rank(b)) return rank(a) < rank(b) ? -1 : 1;
+		if (draw(a) !== draw(b)) return draw(a) - draw(b);
+		return a.localeCompare(b);
+	};
+
+	return {
+		compare(a, b) {
+			if (mode === "earliest") {
+				if (a.ts !== b.ts) return a.ts - b.ts;
+				return a.playerId.localeCompare(b.playerId);
+			}
+			return byBidder(a.playerId, b.playerId);
+		},
+		order: (ids) => [...ids].sort(byBidder)
+	};
+}
+
+/**
+ * Sorted bid lists per topic: topicId -> [{ playerId, amount, ts }], highest
+ * first, equal bids in tie-break order.
+ * `playerId` here is the bidder, so a team's id for team bids.
+ */
+function buildBidLists(room, tie) {
+	const bidLists = new Map();
+	for (const t of room.topics) {
+		const list = [];
+		for (const [playerId, perTopic] of room.bids.entries()) {
+			const b = perTopic.get(t.id);
+			if (!b) continue;
+			const amount = Math.max(0, Math.floor(b.amount));
+			if (amount <= 0) continue;
+
+			// (Server already enforces budget by total, but keep this safe.)
+			list.push({ playerId, amount, ts: b.ts ?? Date.now() });
+		}
+
+		list.sort((a, b) => {
+			if (b.amount !== a.amount) return b.amount - a.amount; // higher first
+			return tie.compare(a, b);
+		});
+
+		bidLists.set(t.id, list);
+	}
+	return bidLists;
+}
+
+/**
+ * Each player's bids as a preference list: playerId -> [{ topicId, amount, ts }], most preferred first.
+ */
+function buildPreferences(topics, bidLists) {
+	const prefs = new Map();
+	for (const t of topics) {
+		for (const b of bidLists.get(t.id) ?? []) {
+			if (!prefs.has(b.playerId)) prefs.set(b.playerId, []);
+			prefs.get(b.playerId).push({ topicId: t.id, amount: b.amount, ts: b.ts });
+		}
+	}
+	for (const list of prefs.values()) {
+		list.sort((a, b) => {
+			if (b.amount !== a.amount) return b.amount - a.amount;
+			if (a.ts !== b.ts) return a.ts - b.ts;
+			return a.topicId.localeCompare(b.topicId);
+		});
+	}
+	return prefs;
+}
+
+function emptyWinners(topics) {
+	const winnersByTopic = new Map();
+	for (const t of topics) winnersByTopic.set(t.id, []);
+	return winnersByTopic;
+}
+
+/**
+ * Seats a topic's current winners take up.
+ */
+function seatsTaken(winners, sizeOf) {
+	let seats = 0;
+	for (const id of winners) seats += sizeOf(id);
+	return seats;
+}
+
+/**
+ * Slots `id` holds in one topic's winner list.
+ */
+function slotsHeld(winners, id) {
+	let n = 0;
+	for (const w of winners) if (w === id) n++;
+	return n;
+}
+
+function removeSlot(winners, id) {
+	const i = winners.lastIndexOf(id);
+	if (i >= 0) winners.splice(i, 1);
+}
+
+function perPlayerCap(topic) {
+	return topic.maxPerPlayer ?? 1;
+}
+
+/**
+ * Allocation rule:
+ * - Each topic has capacity N.
+ * - “Tentative winners” per topic are highest bids.
+ * - If a player is a winner in more topics (slots) than they may hold, they keep ONLY the ones they bid highest on.
+ * - Vacated slots get filled by next highest bidders (who aren’t already at their limit).
+ *
+ * This implements what you described in a deterministic way.
+ */
+function keepHighest(topics, bidLists, note, { sizeOf, quota }) {
+	const winnersByTopic = emptyWinners(topics);
+	const nextIndex = new Map(); // topicId -> pointer in bid list
+	const waiting = new Map(); // topicId -> bids passed over for lack of seats, retried first
+
+	for (const t of topics) {
+		nextIndex.set(t.id, 0);
+		waiting.set(t.id, []);
+	}
+
+	// Two stages:
+	// 1) Tentatively take top N per topic ignoring duplicates.
+	// 2) Resolve duplicates by keeping highest per player, then refill vacancies, repeat.
+
+	// Step 1: Tentative winners per topic (allow duplicates across topics).
+	for (const t of topics) {
+		const list = bidLists.get(t.id) ?? [];
+		const winners = winnersByTopic.get(t.id);
+		const limit = Math.min(perPlayerCap(t), quota);
+		let seats = 0;
+		let i = 0;
+		for (; i < list.length && seats < t.capacity; i++) {
+			const size = sizeOf(list[i].playerId);
+			let n = 0;
+			for (; n < limit && seats + size <= t.capacity; n++) {
+				winners.push(list[i].playerId);
+				seats += size;
+			}
+			if (n < limit) waiting.get(t.id).push(list[i]);
+		}
+		nextIndex.set(t.id, i);
+		note({ step: "tentative", topicId: t.id, playerIds: [...winners] });
+	}
+
+	// Helper: build player -> slots they are currently winning, with amounts.
+	function buildPlayerWins() {
+		const playerWins = new Map(); // playerId -> [{ topicId, amount, ts }]
+		for (const t of topics) {
+			const list = bidLists.get(t.id) ?? [];
+			const winners = winnersByTopic.get(t.id);
+
+			// Make a quick lookup for amount/ts by player for this topic from list.
+			const byPlayer = new Map();
+			for (const b of list) {
+				if (!byPlayer.has(b.playerId)) byPlayer.set(b.playerId, b);
+			}
+
+			for (const playerId of winners) {
+				const b = byPlayer.get(playerId);
+				if (!b) continue;
+				if (!playerWins.has(playerId)) playerWins.set(playerId, []);
+				playerWins.get(playerId).push({ topicId: t.id, amount: b.amount, ts: b.ts });
+			}
+		}
+		return playerWins;
+	}
+
+	// Step 2: Resolve duplicates iteratively and refill vacancies.
+	let changed = true;
+	let safety = 0;
+
+	while (changed && safety++ < 1000) {
+		changed = false;
+
+		// Players winning more slots than they may hold keep their highest bids.
+		const playerWins = buildPlayerWins();
+
+		for (const [playerId, wins] of playerWins.entries()) {
+			if (wins.length <= quota) continue;
+
+			wins.sort((a, b) => {
+				if (b.amount !== a.amount) return b.amount - a.amount; // highest bid kept
+				if (a.ts !== b.ts) return a.ts - b.ts; // earlier kept
+				return a.topicId.localeCompare(b.topicId);
+			});
+
+			// Remove player from slots they shouldn't keep.
+			const kept = wins[quota - 1]; // the lowest bid they keep
+			for (const win of wins.slice(quota)) {
+				removeSlot(winnersByTopic.get(win.topicId), playerId);
+				changed = true;
+				note({
+					step: "dropped",
+					playerId,
+					topicId: win.topicId,
+					amount: win.amount,
+					keptTopicId: kept.topicId,
+					keptAmount: kept.amount
+				});
+			}
+		}
+
+		// Refill any topics that now have vacancies with next highest bidders
+		// who are NOT already at their limit.
+		// First figure out who is already winning something.
+		const winningPlayers = new Map(); // playerId -> a topicId they hold
+		const held = new Map(); // playerId -> slots held
+		for (const t of topics) {
+			for (const pid of winnersByTopic.get(t.id)) {
+				winningPlayers.set(pid, t.id);
+				held.set(pid, (held.get(pid) ?? 0) + 1);
+			}
+		}
+
+		for (const t of topics) {
+			const winners = winnersByTopic.get(t.id);
+			let seats = seatsTaken(winners, sizeOf);
+			if (seats >= t.capacity) continue;
+
+			const list = bidLists.get(t.id) ?? [];
+			let idx = nextIndex.get(t.id) ?? 0;
+
+			// Bidders passed over earlier for lack of seats outbid everyone still in the list.
+			const retry = waiting.get(t.id);
+			waiting.set(t.id, []);
+			const candidates = () => (retry.length ? retry.shift() : idx < list.length ? list[idx++] : null);
+
+			for (let cand = candidates(); cand && seats < t.capacity; cand = candidates()) {
+				const here = slotsHeld(winners, cand.playerId);
+				if (here >= perPlayerCap(t)) continue;
+				if ((held.get(cand.playerId) ?? 0) >= quota) {
+					note({
+						step: "skipped",
+						playerId: cand.playerId,
+						topicId: t.id,
+						amount: cand.amount,
+						reason: "assigned_elsewhere",
+						assignedTopicId: winningPlayers.get(cand.playerId)
+					});
+					continue;
+				}
+
+				const size = sizeOf(cand.playerId);
+				let n = 0;
+				while (here + n < perPlayerCap(t) && (held.get(cand.playerId) ?? 0) < quota && seats + size <= t.capacity) {
+					winners.push(cand.playerId);
+					winningPlayers.set(cand.playerId, t.id);
+					held.set(cand.playerId, (held.get(cand.playerId) ?? 0) + 1);
+					seats += size;
+					n++;
+				}
+
+				// Out of seats before they got all they could hold here: try again if seats free up.
+				if (here + n < perPlayerCap(t) && (held.get(cand.playerId) ?? 0) < quota) waiting.get(t.id).push(cand);
+				if (!n) continue;
+
+				changed = true;
+				note({ step: "refilled", playerId: cand.playerId, topicId: t.id, amount: cand.amount });
+			}
+
+			waiting.get(t.id).push(...retry);
+			nextIndex.set(t.id, idx);
+		}
+	}
+
+	return winnersByTopic;
+}
+
+/**
+ * Maximize the sum of winning bid points, subject to capacities and slot limits.
+ * Solved as min-cost flow (source -> player -> topic -> sink, cost = -bid),
+ * augmenting one slot at a time while that still adds points. Each slot won
+ * counts its bid once. Costs carry a bonus below one point for bidders
+ * earlier in a topic's list, so among equally good results ties go the
+ * tie-break's way.
+ *
+ * Flow can't keep a multi-seat team in one piece, so with capacity counted
+ * in members the flow places bidders by count and a repair pass then moves
+ * the lowest bids out of any topic that ended up over its seats. That result
+ * is close to, not guaranteed to be, the maximum.
+ */
+function maxWelfare(topics, bidLists, note, { sizeOf, quota }) {
+	const winnersByTopic = emptyWinners(topics);
+
+	const playerIds = [...new Set(topics.flatMap(t => (bidLists.get(t.id) ?? []).map(b => b.playerId)))].sort();
+	const source = 0;
+	const sink = 1;
+	const playerNode = new Map(playerIds.map((pid, i) => [pid, 2 + i]));
+	const topicNode = new Map(topics.map((t, i) => [t.id, 2 + playerIds.length + i]));
+	const nodeCount = 2 + playerIds.length + topics.length;
+
+	// Edge list with paired reverse edges at index ^ 1.
+	const edges = []; // { to, cap, cost }
+	const adj = Array.from({ length: nodeCount }, () => []);
+	function addEdge(from, to, cap, cost) {
+		adj[from].push(edges.length);
+		edges.push({ to, cap, cost });
+		adj[to].push(edges.length);
+		edges.push({ to: from, cap: 0, cost: -cost });
+	}
+
+	for (const pid of playerIds) addEdge(source, playerNode.get(pid), quota, 0);
+	// Bonuses on all slots together stay under `scale`, i.e. under one point.
+	const scale = 1 + topics.reduce((sum, t) => sum + t.capacity * (bidLists.get(t.id)?.length ?? 0), 0);
+	const bidEdges = []; // [edgeIndex, playerId, topicId, amount, slots]
+	for (const t of topics) {
+		const slots = Math.min(perPlayerCap(t), quota);
+		const list = bidLists.get(t.id) ?? [];
+		list.forEach((b, i) => {
+			bidEdges.push([edges.length, b.playerId, t.id, b.amount, slots]);
+			addEdge(playerNode.get(b.playerId), topicNode.get(t.id), slots, -(b.amount * scale + list.length - i));
+		});
+		addEdge(topicNode.get(t.id), sink, t.capacity, 0);
+	}
+
+	// Successive shortest paths (Bellman-Ford, since costs are negative).
+	for (;;) {
+		const dist = new Array(nodeCount).fill(Infinity);
+		const via = new Array(nodeCount).fill(-1);
+		dist[source] = 0;
+
+		for (let round = 0, relaxed = true; relaxed && round < nodeCount; round++) {
+			relaxed = false;
+			for (let u = 0; u < nodeCount; u++) {
+				if (dist[u] === Infinity) continue;
+				for (const e of adj[u]) {
+					const { to, cap, cost } = edges[e];
+					if (cap > 0 && dist[u] + cost < dist[to]) {
+						dist[to] = dist[u] + cost;
+						via[to] = e;
+						relaxed = true;
+					}
+				}
+			}
+		}
+
+		// Stop once another assignment would no longer raise the total.
+		if (dist[sink] >= 0) break;
+
+		for (let v = sink; v !== source; v = edges[via[v] ^ 1].to) {
+			edges[via[v]].cap -= 1;
+			edges[via[v] ^ 1].cap += 1;
+		}
+	}
+
+	let total = 0;
+	for (const [e, playerId, topicId, amount, slots] of bidEdges) {
+		for (let n = slots - edges[e].cap; n > 0; n--) {
+			winnersByTopic.get(topicId).push(playerId);
+			total += amount;
+			note({ step: "assigned", playerId, topicId, amount });
+		}
+	}
+
+	total -= repairOverfullTopics(topics, bidLists, winnersByTopic, note, { sizeOf, quota });
+	note({ step: "optimized", total });
+
+	return winnersByTopic;
+}
+
+/**
+ * Evict the lowest bids from topics over their seat count, then give each
+ * evicted slot to its bidder's best topic that still fits them. Returns the points lost.
+ */
+function repairOverfullTopics(topics, bidLists, winnersByTopic, note, { sizeOf, quota }) {
+	const evicted = [];
+	let lost = 0;
+
+	for (const t of topics) {
+		const winners = winnersByTopic.get(t.id);
+		const lowestFirst = (bidLists.get(t.id) ?? []).filter(b => winners.includes(b.playerId)).reverse();
+		for (const b of lowestFirst) {
+			while (seatsTaken(winners, sizeOf) > t.capacity && winners.includes(b.playerId)) {
+				removeSlot(winners, b.playerId);
+				lost += b.amount;
+				evicted.push(b.playerId);
+				note({ step: "dropped", playerId: b.playerId, topicId: t.id, amount: b.amount, reason: "too_big" });
+			}
+		}
+	}
+
+	const prefs = buildPreferences(topics, bidLists);
+	const byId = new Map(topics.map(t => [t.id, t]));
+	const held = (playerId) => topics.reduce((n, t) => n + slotsHeld(winnersByTopic.get(t.id), playerId), 0);
+	for (const playerId of evicted) {
+		if (held(playerId) >= quota) continue;
+		for (const p of prefs.get(playerId)) {
+			const t = byId.get(p.topicId);
+			const winners = winnersByTopic.get(p.topicId);
+			if (slotsHeld(winners, playerId) >= perPlayerCap(t)) continue;
+			if (seatsTaken(winners, sizeOf) + sizeOf(playerId) > t.capacity) continue;
+			winners.push(playerId);
+			lost -= p.amount;
+			note({ step: "refilled", playerId, topicId: p.topicId, amount: p.amount });
+			break;
+		}
+	}
+
+	return lost;
+}
+
+/**
+ * Student-proposing deferred acceptance.
+ * Players propose in order of their own bids, once per slot they can still
+ * fill (a topic allowing several slots each can be proposed to that many
+ * times); a topic ranks proposers by the bid they placed on it and holds the
+ * best `capacity`, rejecting the rest.
+ * The result is stable: no player/topic pair would both rather be matched together
+ * (with teams taking several seats, a big team may push out more than one holder).
+ */
+function deferredAcceptance(topics, bidLists, note, { sizeOf, quota }) {
+	const winnersByTopic = emptyWinners(topics);
+	const byId = new Map(topics.map(t => [t.id, t]));
+	const prefs = new Map();
+	for (const [playerId, list] of buildPreferences(topics, bidLists)) {
+		prefs.set(playerId, list.flatMap(p => Array(Math.min(perPlayerCap(byId.get(p.topicId)), quota)).fill(p)));
+	}
+	const capacity = new Map(topics.map(t => [t.id, t.capacity]));
+
+	// Topic priority: position in that topic's (already sorted) bid list.
+	const rank = new Map(); // topicId -> Map(playerId -> index)
+	for (const t of topics) {
+		rank.set(t.id, new Map((bidLists.get(t.id) ?? []).map((b, i) => [b.playerId, i])));
+	}
+
+	const held = new Map(topics.map(t => [t.id, []])); // topicId -> [playerId]
+	const nextChoice = new Map(); // playerId -> index into prefs
+	const free = [...prefs.keys()].sort().flatMap(pid => Array(quota).fill(pid)); // one entry per open slot
+
+	while (free.length) {
+		const playerId = free.shift();
+		const list = prefs.get(playerId);
+		const i = nextChoice.get(playerId) ?? 0;
+		if (i >= list.length) continue; // Exhausted their list; slot stays empty.
+		nextChoice.set(playerId, i + 1);
+
+		const topicId = list[i].topicId;
+		if (sizeOf(playerId) > capacity.get(topicId)) {
+			note({ step: "rejected", playerId, topicId, amount: list[i].amount, reason: "too_big" });
+			free.push(playerId);
+			continue;
+		}
+
+		const holding = held.get(topicId);
+		holding.push(playerId);
+		holding.sort((a, b) => rank.get(topicId).get(a) - rank.get(topicId).get(b));
+		note({ step: "proposed", playerId, topicId, amount: list[i].amount });
+
+		while (seatsTaken(holding, sizeOf) > capacity.get(topicId)) {
+			const rejected = holding.pop();
+			const amount = prefs.get(rejected).find(p => p.topicId === topicId).amount;
+			note({ step: "rejected", playerId: rejected, topicId, amount, reason: "outranked" });
+			free.push(rejected);
+		}
+	}
+
+	for (const [topicId, playerIds] of held.entries()) {
+		winnersByTopic.get(topicId).push(...playerIds);
+	}
+
+	return winnersByTopic;
+}
+
+/**
+ * Random serial dictatorship: put the players in tie-break draw order (the
+ * priority list first in priority mode), then each in turn takes their
+ * highest-bid topics that still have room, up to their slot limit.
+ * Bid amounts only express preference order here, not priority.
+ */
+function serialDictatorship(topics, bidLists, note, ctx) {
+	const { sizeOf, quota } = ctx;
+	const winnersByTopic = emptyWinners(topics);
+	const prefs = buildPreferences(topics, bidLists);
+	const byId = new Map(topics.map(t => [t.id, t]));
+
+	// Drawn once per computation, so re-runs after a cancellation keep the same order.
+	if (!ctx.order) {
+		ctx.order = ctx.tie.order(prefs.keys());
+		note({ step: "order", playerIds: ctx.order });
+	}
+
+	for (const playerId of ctx.order) {
+		if (!prefs.has(playerId)) continue;
+
+		let picked = 0;
+		for (const p of prefs.get(playerId)) {
+			if (picked >= quota) break;
+
+			const t = byId.get(p.topicId);
+			const winners = winnersByTopic.get(p.topicId);
+			const fits = () => seatsTaken(winners, sizeOf) + sizeOf(playerId) <= t.capacity;
+			if (!fits()) {
+				note({ step: "skipped", playerId, topicId: p.topicId, amount: p.amount, reason: "full" });
+				continue;
+			}
+
+			for (let n = 0; n < perPlayerCap(t) && picked < quota && fits(); n++, picked++) {
+				winners.push(playerId);
+				note({ step: "picked", playerId, topicId: p.topicId, amount: p.amount });
+			}
+		}
+	}
+
+	return winnersByTopic;
+}
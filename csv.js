@@ -0,0 +1,62 @@
+/**
+ * Minimal RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF line endings.
+ */
+
+export function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+
+	const src = String(text).replace(/^\uFEFF/, ""); // Excel likes to add a BOM.
+
+	for (let i = 0; i < src.length; i++) {
+		const c = src[i];
+
+		if (quoted) {
+			if (c === '"' && src[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (c === '"') {
+				quoted = false;
+			} else {
+				field += c;
+			}
+			continue;
+		}
+
+		if (c === '"') {
+			quoted = true;
+		} else if (c === ",") {
+			row.push(field);
+			field = "";
+		} else if (c === "\n" || c === "\r") {
+			if (c === "\r" && src[i + 1] === "\n") i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += c;
+		}
+	}
+
+	if (field || row.length) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	// Blank lines carry no data.
+	return rows.filter(r => r.some(f => f.trim()));
+}
+
+export function toCsv(rows) {
+	return rows.map(r => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+function csvField(value) {
+	let s = value === null || value === undefined ? "" : String(value);
+	// Spreadsheets run text starting with these as a formula; the quote keeps it text.
+	if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+	return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
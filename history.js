@@ -0,0 +1,95 @@
+/**
+ * Result history. Every computation is kept as a run record:
+ * {
+ *		id, at, round,
+ *		settings: { allocation, maxAssignmentsPerPlayer, tieBreak, seed, priorityOrder, overBudget, teamsEnabled, teamBudget, teamCapacity, overrides },
+ *		topics: [{ id, name, capacity, minCapacity, maxPerPlayer }], // as they were when it ran
+ *		bids: { [bidderId]: { [topicId]: amount } },
+ *		names: { [playerId or teamId]: name },
+ *		winners, trace, rosterReport, // what publishing it hands out
+ *		explanations: { [playerId]: { bidderId, assignedTopicIds, bids } }, // steps come from `trace` when needed
+ *		published: false
+ * }
+ * Runs are plain JSON; storage keeps them apart from the room record.
+ */
+
+// Config keys that change what the allocator does with the same bids.
+export const RUN_SETTINGS = [
+	"allocation", "maxAssignmentsPerPlayer", "tieBreak", "priorityOrder",
+	"overBudget", "teamsEnabled", "teamBudget", "teamCapacity"
+];
+
+/**
+ * What the host's history list shows; the full record stays on the server.
+ */
+export function runSummary(run) {
+	return {
+		id: run.id,
+		at: run.at,
+		round: run.round,
+		rule: run.winners.rule,
+		tieBreak: run.settings.tieBreak,
+		seed: run.settings.seed,
+		assigned: Object.keys(run.winners.assignmentByPlayer).length,
+		published: run.published
+	};
+}
+
+/**
+ * Everything that differs between two runs: who moved, which topics gained
+ * or lost whom, and the inputs behind it (topic edits, settings, bids).
+ */
+export function diffRuns(a, b) {
+	const name = (id) => b.names[id] ?? a.names[id] ?? id;
+	const sameList = (x, y) => x.length === y.length && x.every(v => y.includes(v));
+
+	const moved = [];
+	const before = a.winners.assignmentByPlayer;
+	const after = b.winners.assignmentByPlayer;
+	for (const pid of new Set([...Object.keys(before), ...Object.keys(after)])) {
+		const from = before[pid] ?? [];
+		const to = after[pid] ?? [];
+		if (!sameList(from, to)) moved.push({ playerId: pid, name: name(pid), from, to });
+	}
+
+	const topics = [];
+	const topicIds = new Set([...a.topics.map(t => t.id), ...b.topics.map(t => t.id)]);
+	for (const tid of topicIds) {
+		const from = a.winners.winnersByTopic[tid] ?? [];
+		const to = b.winners.winnersByTopic[tid] ?? [];
+		const gained = to.filter(pid => !from.includes(pid));
+		const lost = from.filter(pid => !to.includes(pid));
+		if (gained.length || lost.length) topics.push({ topicId: tid, name: topicName(a, b, tid), gained, lost });
+	}
+
+	const topicEdits = [];
+	for (const tid of topicIds) {
+		const from = a.topics.find(t => t.id === tid) ?? null;
+		const to = b.topics.find(t => t.id === tid) ?? null;
+		if (JSON.stringify(from) !== JSON.stringify(to)) topicEdits.push({ topicId: tid, name: topicName(a, b, tid), from, to });
+	}
+
+	const settings = [];
+	for (const key of [...RUN_SETTINGS, "seed", "overrides"]) {
+		if (JSON.stringify(a.settings[key]) !== JSON.stringify(b.settings[key])) {
+			settings.push({ key, from: a.settings[key], to: b.settings[key] });
+		}
+	}
+
+	const bids = [];
+	for (const bidderId of new Set([...Object.keys(a.bids), ...Object.keys(b.bids)])) {
+		const from = a.bids[bidderId] ?? {};
+		const to = b.bids[bidderId] ?? {};
+		for (const tid of new Set([...Object.keys(from), ...Object.keys(to)])) {
+			if ((from[tid] ?? 0) !== (to[tid] ?? 0)) {
+				bids.push({ bidderId, name: name(bidderId), topicId: tid, from: from[tid] ?? 0, to: to[tid] ?? 0 });
+			}
+		}
+	}
+
+	return { from: a.id, to: b.id, moved, topics, topicEdits, settings, bids, names: { ...a.names, ...b.names } };
+}
+
+function topicName(a, b, topicId) {
+	return (b.topics.find(t => t.id === topicId) ?? a.topics.find(t => t.id === topicId))?.name ?? topicId;
+}
@@ -2,6 +2,33 @@ let ws = null;
 let playerId = null;
 let room = null;
 let lastWinners = null;
+let lastExplanation = null; // Why I got (or didn't get) my topic.
+let lastTrace = null; // Host only: every step the allocation took.
+let lastRosterReport = null; // Host only: roster members who ended up without a topic.
+let standing = null; // While bidding is open: where my bids would land right now.
+let standingPreview = null; // Host only: the whole provisional result.
+let previewRun = null; // Host only: a computed run shown in place of the published result.
+let runDiff = null; // Host only: the last comparison of two runs.
+
+// What we joined with, so a dropped connection can rejoin by itself.
+// { create: true, name, passcode } until the server hands back a room code.
+let joinParams = null;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+
+// Server time minus local time, so every client counts down to the same moment.
+let clockOffset = 0;
+let noticeTimer = null;
+let resyncing = false; // Asked for a full snapshot after missing a patch.
+let requestSeq = 0;
+const pendingRequests = new Map(); // request id -> element its error shows in
+let lastErrorMessage = null; // Explains a close by the server (limits send an error first).
+
+// Must match PROTOCOL_VERSION in server.js.
+const PROTOCOL_VERSION = 1;
+
+// How long a slider has to rest before its value is sent as a bid.
+const BID_SETTLE_MS = 300;
 
 const joinView = document.querySelector("#joinView");
 const appView = document.querySelector("#appView");
@@ -9,10 +36,24 @@ const appView = document.querySelector("#appView");
 const roomInput = document.querySelector("#roomInput");
 const nameInput = document.querySelector("#nameInput");
 const joinBtn = document.querySelector("#joinBtn");
+const passcodeInput = document.querySelector("#passcodeInput");
+const createBtn = document.querySelector("#createBtn");
+const newPasscodeInput = document.querySelector("#newPasscodeInput");
+const rosterCodeInput = document.querySelector("#rosterCodeInput");
 
 const roomLabel = document.querySelector("#roomLabel");
+const roundLabel = document.querySelector("#roundLabel");
 const hostBadge = document.querySelector("#hostBadge");
+const claimHostBtn = document.querySelector("#claimHostBtn");
+const hostKeyLabel = document.querySelector("#hostKeyLabel");
 const lockBadge = document.querySelector("#lockBadge");
+const connBadge = document.querySelector("#connBadge");
+const countdownBadge = document.querySelector("#countdownBadge");
+const noticeEl = document.querySelector("#notice");
+const joinErrorEl = document.querySelector("#joinError");
+const appErrorEl = document.querySelector("#appError");
+const hostErrorEl = document.querySelector("#hostError");
+const topicErrorEl = document.querySelector("#topicError");
 
 const budgetLabel = document.querySelector("#budgetLabel");
 const spentLabel = document.querySelector("#spentLabel");
@@ -22,63 +63,252 @@ const hostPanel = document.querySelector("#hostPanel");
 const topicEditor = document.querySelector("#topicEditor");
 
 const budgetInput = document.querySelector("#budgetInput");
+const allocationInput = document.querySelector("#allocationInput");
+const overBudgetInput = document.querySelector("#overBudgetInput");
+const tieBreakInput = document.querySelector("#tieBreakInput");
+const tieBreakSeedInput = document.querySelector("#tieBreakSeedInput");
+const priorityOrderInput = document.querySelector("#priorityOrderInput");
+const maxAssignmentsInput = document.querySelector("#maxAssignmentsInput");
+const budgetRulesInput = document.querySelector("#budgetRulesInput");
 const revealBidsInput = document.querySelector("#revealBidsInput");
+const showBidderCountsInput = document.querySelector("#showBidderCountsInput");
 const allowJoinAfterLockInput = document.querySelector("#allowJoinAfterLockInput");
+const teamsEnabledInput = document.querySelector("#teamsEnabledInput");
+const maxTeamSizeInput = document.querySelector("#maxTeamSizeInput");
+const teamBudgetInput = document.querySelector("#teamBudgetInput");
+const teamCapacityInput = document.querySelector("#teamCapacityInput");
 const saveConfigBtn = document.querySelector("#saveConfigBtn");
 const lockBtn = document.querySelector("#lockBtn");
 const unlockBtn = document.querySelector("#unlockBtn");
 const computeBtn = document.querySelector("#computeBtn");
+const publishBtn = document.querySelector("#publishBtn");
+const revealBtn = document.querySelector("#revealBtn");
+const nextRoundBtn = document.querySelector("#nextRoundBtn");
+const deadlineMinutesInput = document.querySelector("#deadlineMinutesInput");
+const softCloseInput = document.querySelector("#softCloseInput");
+const autoComputeInput = document.querySelector("#autoComputeInput");
+const startDeadlineBtn = document.querySelector("#startDeadlineBtn");
+const clearDeadlineBtn = document.querySelector("#clearDeadlineBtn");
+const passcodeSettingInput = document.querySelector("#passcodeSettingInput");
+const setPasscodeBtn = document.querySelector("#setPasscodeBtn");
+const passcodeStatus = document.querySelector("#passcodeStatus");
+const rosterInput = document.querySelector("#rosterInput");
+const clearRosterBtn = document.querySelector("#clearRosterBtn");
+const rosterStatusEl = document.querySelector("#rosterStatus");
+const overridePlayerInput = document.querySelector("#overridePlayerInput");
+const overrideTopicInput = document.querySelector("#overrideTopicInput");
+const pinBtn = document.querySelector("#pinBtn");
+const forbidBtn = document.querySelector("#forbidBtn");
+const swapAInput = document.querySelector("#swapAInput");
+const swapBInput = document.querySelector("#swapBInput");
+const swapBtn = document.querySelector("#swapBtn");
+const overrideListEl = document.querySelector("#overrideList");
 
 const topicsEl = document.querySelector("#topics");
 const playersEl = document.querySelector("#players");
+const rosterPanel = document.querySelector("#rosterPanel");
+const teamsPanel = document.querySelector("#teamsPanel");
+const teamListEl = document.querySelector("#teamList");
+const teamNameInput = document.querySelector("#teamNameInput");
+const createTeamBtn = document.querySelector("#createTeamBtn");
 const resultsEl = document.querySelector("#results");
+const standingPreviewEl = document.querySelector("#standingPreview");
+const historyPanel = document.querySelector("#historyPanel");
+const runListEl = document.querySelector("#runList");
+const diffFromInput = document.querySelector("#diffFromInput");
+const diffToInput = document.querySelector("#diffToInput");
+const diffBtn = document.querySelector("#diffBtn");
+const runDiffEl = document.querySelector("#runDiff");
 
 const topicRowsEl = document.querySelector("#topicRows");
 const addTopicBtn = document.querySelector("#addTopicBtn");
 const saveTopicsBtn = document.querySelector("#saveTopicsBtn");
+const importTopicsInput = document.querySelector("#importTopicsInput");
+const exportLinksEl = document.querySelector("#exportLinks");
+const projectorLink = document.querySelector("#projectorLink");
 
 function connect() {
 	const proto = location.protocol === "https:" ? "wss" : "ws";
 	ws = new WebSocket(`${proto}://${location.host}`);
 
+	ws.addEventListener("open", () => {
+		const { roomId, name, passcode, rosterCode } = joinParams;
+		if (joinParams.create) send({ type: "create_room", protocol: PROTOCOL_VERSION, name, passcode }, joinErrorEl);
+		else send({ type: "join", protocol: PROTOCOL_VERSION, roomId, name, passcode, rosterCode, token: loadSessionToken(roomId) }, joinErrorEl);
+	});
+
 	ws.addEventListener("message", (ev) => {
 		const msg = JSON.parse(ev.data);
 
+		if (msg.type === "ack") {
+			pendingRequests.delete(msg.id);
+			return;
+		}
+
 		if (msg.type === "error") {
-			alert(msg.message);
+			// Shown next to whatever sent the request; unmatched errors go to the top.
+			const el = pendingRequests.get(msg.id) ?? (playerId ? appErrorEl : joinErrorEl);
+			pendingRequests.delete(msg.id);
+			lastErrorMessage = msg.message;
+			showError(el, msg.message);
+			return;
+		}
+
+		if (msg.type === "kicked") {
+			// The token stays: the seat is gone, but a session ban is checked against it.
+			playerId = null;
+			room = null;
+			appView.classList.add("hidden");
+			joinView.classList.remove("hidden");
+			showError(joinErrorEl, msg.message);
 			return;
 		}
 
 		if (msg.type === "joined") {
+			clockOffset = msg.room.serverNow - Date.now();
+			reconnectAttempts = 0;
+			connBadge.classList.add("hidden");
+			// From here on a dropped connection rejoins this room with the token.
+			joinParams = { ...joinParams, create: false, roomId: msg.room.id };
+			saveSessionToken(joinParams.roomId, msg.token);
 			playerId = msg.playerId;
 			room = msg.room;
-			lastWinners = null;
+			lastWinners = msg.winners ?? null;
+			lastExplanation = msg.explanation ?? null;
+			lastTrace = msg.trace ?? null;
+			lastRosterReport = msg.rosterReport ?? null;
 			showApp();
 			render();
 			return;
 		}
 
 		if (msg.type === "room_update") {
+			clockOffset = msg.room.serverNow - Date.now();
 			room = msg.room;
+			resyncing = false;
 			render();
 			return;
 		}
 
+		if (msg.type === "patch") {
+			if (!room || resyncing) return;
+			if (msg.from !== room.version) {
+				// Missed an update somewhere; patches only apply in order.
+				resyncing = true;
+				send({ type: "resync" });
+				return;
+			}
+			for (const p of msg.patches) applyPatch(p);
+			room.version = msg.to;
+			// Patches never add or remove topics, so the cards are updated, not rebuilt.
+			render(false);
+			return;
+		}
+
+		if (msg.type === "bids_adjusted") {
+			showBidAdjustments(msg);
+			return;
+		}
+
+		if (msg.type === "standing") {
+			standing = msg.standing;
+			standingPreview = msg.preview ?? null;
+			renderStanding();
+			return;
+		}
+
+		if (msg.type === "run_preview" || msg.type === "run") {
+			previewRun = msg.run;
+			renderResults();
+			return;
+		}
+
+		if (msg.type === "run_diff") {
+			runDiff = msg.diff;
+			renderHistory();
+			return;
+		}
+
 		if (msg.type === "winners") {
+			previewRun = null;
 			lastWinners = msg.winners;
+			lastExplanation = msg.explanation ?? null;
+			lastTrace = msg.trace ?? null;
+			lastRosterReport = msg.rosterReport ?? null;
 			renderResults();
 			return;
 		}
 	});
 
-	ws.addEventListener("close", () => {
-		alert("Disconnected. Refresh to rejoin.");
+	ws.addEventListener("close", (ev) => {
+		// Requests on a dropped socket never get an answer.
+		pendingRequests.clear();
+
+		// 4000+ means the server hung up on purpose (a limit); retrying right away
+		// would only hit it again. The session token stays, so Join resumes the seat.
+		if (ev.code >= 4000) {
+			playerId = null;
+			room = null;
+			connBadge.classList.add("hidden");
+			appView.classList.add("hidden");
+			joinView.classList.remove("hidden");
+			if (joinParams.roomId) roomInput.value = joinParams.roomId;
+			showError(joinErrorEl, lastErrorMessage ?? "Disconnected by the server.");
+			return;
+		}
+
+		// Never joined (e.g. bad room code): nothing to resume.
+		if (!playerId) return;
+		scheduleReconnect();
 	});
 }
 
-function send(msg) {
+/**
+ * Exponential backoff (1s, 2s, 4s ... capped at 30s) with a little jitter
+ * so a whole class doesn't reconnect in lockstep after a server restart.
+ */
+function scheduleReconnect() {
+	clearTimeout(reconnectTimer);
+	connBadge.classList.remove("hidden");
+
+	const delay = Math.min(30000, 1000 * 2 ** reconnectAttempts) + Math.random() * 500;
+	reconnectAttempts++;
+	reconnectTimer = setTimeout(connect, delay);
+}
+
+function loadSessionToken(roomId) {
+	try {
+		return localStorage.getItem(`session:${roomId}`) || undefined;
+	} catch {
+		return undefined;
+	}
+}
+
+function saveSessionToken(roomId, token) {
+	try {
+		localStorage.setItem(`session:${roomId}`, token);
+		localStorage.setItem("lastName", joinParams.name);
+	} catch {
+		// Private mode etc.: the session just won't survive a refresh.
+	}
+}
+
+/**
+ * Every request gets an id; the server answers it with an ack or an error,
+ * and an error shows in `errorEl` (the top of the page by default).
+ */
+function send(msg, errorEl = null) {
 	if (!ws || ws.readyState !== WebSocket.OPEN) return;
-	ws.send(JSON.stringify(msg));
+	const id = ++requestSeq;
+	if (errorEl) pendingRequests.set(id, errorEl);
+	ws.send(JSON.stringify({ ...msg, id }));
+}
+
+function showError(el, message) {
+	el.textContent = message;
+	el.classList.remove("hidden");
+	clearTimeout(Number(el.dataset.timer));
+	el.dataset.timer = String(setTimeout(() => el.classList.add("hidden"), 10000));
 }
 
 function showApp() {
@@ -87,25 +317,73 @@ function showApp() {
 	roomLabel.textContent = room.id;
 }
 
+// Owner or co-host: both run the room.
 function isHost() {
-	return room && playerId && room.hostId === playerId;
+	return !!(room && playerId && (room.hostId === playerId || room.coHostIds.includes(playerId)));
+}
+
+// Only the owner hands out roles.
+function isOwner() {
+	return !!(room && playerId && room.hostId === playerId);
 }
 
 function myPlayer() {
 	return room.players.find(p => p.id === playerId) || null;
 }
 
+function myTeam() {
+	const me = myPlayer();
+	return (me?.teamId && room.teams.find(t => t.id === me.teamId)) || null;
+}
+
+// Team members bid (and spend) as their team.
+function myBidderId() {
+	return myTeam()?.id ?? playerId;
+}
+
+// Hosts can give players their own budget, so never assume the room's.
+function myBudget() {
+	return myTeam()?.budget ?? myPlayer()?.budget ?? room.config.budget;
+}
+
 function myBidAmount(topicId) {
 	if (!room.bids) return 0;
-	const mine = room.bids[playerId] || {};
+	const mine = room.bids[myBidderId()] || {};
 	return Math.floor(mine[topicId]?.amount ?? 0);
 }
 
-function render() {
+/**
+ * Apply one server patch to `room` (see broadcastRoomUpdate in server.js).
+ * Values are absolute, so a patch the snapshot already includes changes nothing.
+ */
+function applyPatch(p) {
+	if (p.op === "player_joined" || p.op === "player_changed") {
+		const i = room.players.findIndex(x => x.id === p.player.id);
+		if (i >= 0) room.players[i] = p.player;
+		else room.players.push(p.player);
+	} else if (p.op === "team_changed") {
+		const i = room.teams.findIndex(x => x.id === p.team.id);
+		if (i >= 0) room.teams[i] = p.team;
+	} else if (p.op === "bid_changed") {
+		const bids = (room.bids[p.bidderId] ??= {});
+		if (p.bid) bids[p.topicId] = p.bid;
+		else delete bids[p.topicId];
+	} else if (p.op === "bidder_counts") {
+		room.bidderCounts = p.bidderCounts;
+	} else if (p.op === "roster_changed") {
+		room.roster = p.roster;
+	}
+}
+
+/**
+ * Draws the room. `rebuildTopics` false updates the existing topic cards
+ * instead of redrawing them (for patches).
+ */
+function render(rebuildTopics = true) {
 	if (!room) return;
 
 	const me = myPlayer();
-	const budget = room.config.budget;
+	const budget = myBudget();
 	const spent = me ? me.spent : 0;
 	const remaining = Math.max(0, budget - spent);
 
@@ -114,20 +392,51 @@ function render() {
 	remainingLabel.textContent = String(remaining);
 
 	hostBadge.classList.toggle("hidden", !isHost());
+	hostBadge.textContent = isOwner() ? "HOST" : "CO-HOST";
+	claimHostBtn.classList.toggle("hidden", isOwner());
+	hostKeyLabel.textContent = room.hostKey ?? "";
+	hostKeyLabel.parentElement.classList.toggle("hidden", !room.hostKey);
 	lockBadge.classList.toggle("hidden", !room.locked);
+	roundLabel.textContent = String(room.round);
+	renderCountdown();
 
 	hostPanel.classList.toggle("hidden", !isHost());
 	topicEditor.classList.toggle("hidden", !isHost());
 
 	if (isHost()) {
 		budgetInput.value = room.config.budget;
+		allocationInput.value = room.config.allocation;
+		overBudgetInput.value = room.config.overBudget;
+		tieBreakInput.value = room.config.tieBreak;
+		if (document.activeElement !== tieBreakSeedInput) tieBreakSeedInput.value = room.config.tieBreakSeed ?? "";
+		if (document.activeElement !== priorityOrderInput) priorityOrderInput.value = room.config.priorityOrder.join("\n");
+		maxAssignmentsInput.value = room.config.maxAssignmentsPerPlayer;
+		if (document.activeElement !== budgetRulesInput) budgetRulesInput.value = formatBudgetRules(room.config.budgetRules);
 		revealBidsInput.checked = !!room.config.revealBids;
+		showBidderCountsInput.checked = !!room.config.showBidderCounts;
+		revealBtn.disabled = room.config.revealBids || room.revealed;
+		nextRoundBtn.disabled = !lastWinners;
+		// A finalized room only moves on to the next round.
+		for (const btn of [saveConfigBtn, lockBtn, unlockBtn, computeBtn, startDeadlineBtn, pinBtn, forbidBtn, swapBtn]) btn.disabled = room.finalized;
+		publishBtn.disabled = room.finalized || !room.runs.some(r => r.round === room.round);
 		allowJoinAfterLockInput.checked = !!room.config.allowJoinAfterLock;
+		teamsEnabledInput.checked = !!room.config.teamsEnabled;
+		maxTeamSizeInput.value = room.config.maxTeamSize;
+		teamBudgetInput.value = room.config.teamBudget;
+		teamCapacityInput.value = room.config.teamCapacity;
+		renderExportLinks();
+		clearDeadlineBtn.disabled = !room.deadline;
+		passcodeStatus.textContent = room.hasPasscode ? "Passcode is on." : "No passcode.";
+		rosterStatusEl.textContent = room.roster ? `Roster of ${room.roster.length}; only listed people can join.` : "No roster; anyone can join.";
+		clearRosterBtn.disabled = !room.roster;
+		renderOverrides();
 	}
 
-	renderTopics();
+	if (rebuildTopics) renderTopics();
+	else updateTopicCards();
 	renderPlayers();
 	renderResults();
+	renderHistory();
 	renderTopicEditor();
 }
 
@@ -139,6 +448,14 @@ function renderTopics() {
 		return;
 	}
 
+	const frozen = room.frozen[playerId];
+	if (frozen) {
+		const note = document.createElement("p");
+		note.className = "hint";
+		note.textContent = `You were assigned ${frozen.map(f => topicLabel(f.topicId)).join(", ")} in round ${frozen[0].round}.`;
+		topicsEl.appendChild(note);
+	}
+
 	for (const t of room.topics) {
 		const card = document.createElement("div");
 		card.className = "topicCard";
@@ -146,10 +463,21 @@ function renderTopics() {
 		const header = document.createElement("div");
 		header.className = "topicHeader";
 
+		// From round 2 on, topics only have the seats earlier rounds left open.
+		const remaining = room.remaining[t.id] ?? t.capacity;
+		const closed = remaining === 0;
+		const unit = room.config.teamsEnabled ? (room.config.teamCapacity === "members" ? " members" : " teams/players") : "";
+		const capacityText = room.round > 1
+			? `Capacity: ${t.capacity}${unit} (${closed ? "full from earlier rounds" : `${remaining} left`})`
+			: `Capacity: ${t.capacity}${unit}`;
+		const minText = (t.minCapacity ? ` · runs with at least ${t.minCapacity}` : "")
+			+ (t.maxPerPlayer > 1 ? ` · up to ${t.maxPerPlayer} slots per player` : "");
+
 		const left = document.createElement("div");
 		left.innerHTML = `
 			<div class="topicName">${escapeHtml(t.name)}</div>
-			<div class="small">Capacity: ${t.capacity}</div>
+			${t.description ? `<div class="small">${escapeHtml(t.description)}</div>` : ""}
+			<div class="small">${capacityText}${minText}</div>
 		`;
 
 		header.appendChild(left);
@@ -158,61 +486,153 @@ function renderTopics() {
 		const bidRow = document.createElement("div");
 		bidRow.className = "bidRow";
 
-		const bid = myBidAmount(t.id);
+		const label = document.createElement("span");
+		label.className = "bidLabel";
 
 		const range = document.createElement("input");
+		range.className = "bidRange";
 		range.type = "range";
 		range.min = "0";
-		range.max = String(room.config.budget);
 		range.step = "1";
-		range.value = String(bid);
-		range.disabled = room.locked;
 
 		const number = document.createElement("input");
+		number.className = "bidNumber";
 		number.type = "number";
 		number.min = "0";
-		number.max = String(room.config.budget);
 		number.step = "1";
-		number.value = String(bid);
-		number.disabled = room.locked;
 
+		// Dragging only moves the numbers; the bid goes out once the value settles.
+		// Until then the card keeps what's being typed or dragged (see updateTopicCards).
+		let settleTimer = null;
 		const sync = (val) => {
-			const v = clampInt(val, 0, room.config.budget);
+			clearTimeout(settleTimer);
+			delete card.dataset.settling;
+			const v = clampInt(val, 0, myBudget());
 			range.value = String(v);
 			number.value = String(v);
-			send({ type: "bid", topicId: t.id, amount: v });
+			if (v !== myBidAmount(t.id)) send({ type: "bid", topicId: t.id, amount: v }, bidError);
 		};
 
-		range.addEventListener("input", () => sync(range.value));
+		range.addEventListener("input", () => {
+			number.value = range.value;
+			card.dataset.settling = "1";
+			clearTimeout(settleTimer);
+			settleTimer = setTimeout(() => sync(range.value), BID_SETTLE_MS);
+		});
+		range.addEventListener("change", () => sync(range.value));
 		number.addEventListener("change", () => sync(number.value));
 
-		bidRow.appendChild(document.createTextNode("Your bid: "));
+		bidRow.appendChild(label);
 		bidRow.appendChild(range);
 		bidRow.appendChild(number);
 
 		card.appendChild(bidRow);
 
-		// If bids are revealed, show top bidders preview
-		if (room.bids && room.config.revealBids) {
+		const bidError = document.createElement("div");
+		bidError.className = "errorLine hidden";
+		card.appendChild(bidError);
+
+		const standingLine = document.createElement("div");
+		standingLine.className = "small standing";
+		standingLine.dataset.topicId = t.id;
+		card.appendChild(standingLine);
+
+		const preview = document.createElement("div");
+		preview.className = "small bidPreview";
+		preview.style.marginTop = "10px";
+		card.appendChild(preview);
+
+		card.dataset.topicId = t.id;
+		topicsEl.appendChild(card);
+	}
+
+	updateTopicCards();
+	renderStanding();
+}
+
+/**
+ * Everything on the topic cards that patches change (bids, budgets, team,
+ * bidder counts), set on the existing cards so a slider being dragged keeps
+ * going. Only a full room update rebuilds them (renderTopics).
+ */
+function updateTopicCards() {
+	const frozen = room.frozen[playerId];
+	const budget = myBudget();
+	const revealed = room.bids && (room.config.revealBids || room.revealed);
+	const names = revealed ? bidderNames() : null;
+
+	for (const card of topicsEl.querySelectorAll(".topicCard")) {
+		const topicId = card.dataset.topicId;
+		const closed = (room.remaining[topicId] ?? 1) === 0;
+		const range = card.querySelector(".bidRange");
+		const number = card.querySelector(".bidNumber");
+
+		card.querySelector(".bidLabel").textContent = myTeam() ? "Team bid: " : "Your bid: ";
+		for (const input of [range, number]) {
+			input.max = String(budget);
+			input.disabled = room.locked || closed || !!frozen;
+		}
+		if (!card.dataset.settling && document.activeElement !== number) {
+			const bid = myBidAmount(topicId);
+			range.value = String(bid);
+			number.value = String(bid);
+		}
+
+		// If bids are revealed, show top bidders preview; while sealed, at most a bidder count.
+		const preview = card.querySelector(".bidPreview");
+		if (revealed) {
 			const all = [];
-			for (const p of room.players) {
-				const amt = Math.floor(room.bids[p.id]?.[t.id]?.amount ?? 0);
-				if (amt > 0) all.push({ name: p.name, amt });
+			for (const [bidderId, name] of names) {
+				const amt = Math.floor(room.bids[bidderId]?.[topicId]?.amount ?? 0);
+				if (amt > 0) all.push({ name, amt });
 			}
 			all.sort((a, b) => b.amt - a.amt);
 
-			const preview = document.createElement("div");
-			preview.className = "small";
-			preview.style.marginTop = "10px";
 			preview.textContent = all.length
 				? `Top bids: ${all.slice(0, 5).map(x => `${x.name} (${x.amt})`).join(", ")}`
 				: `No bids yet.`;
-
-			card.appendChild(preview);
+		} else if (room.bidderCounts) {
+			const n = room.bidderCounts[topicId] ?? 0;
+			preview.textContent = `Sealed bids: ${n} bidder${n === 1 ? "" : "s"} so far.`;
+		} else {
+			preview.textContent = "";
 		}
+		preview.classList.toggle("hidden", !preview.textContent);
+	}
+}
 
-		topicsEl.appendChild(card);
+/**
+ * Provisional lines go into the topic cards in place, so a slider being
+ * dragged isn't rebuilt each time the server sends a new standing.
+ */
+function renderStanding() {
+	const open = !!room && !room.locked && !room.frozen[playerId];
+	const mine = new Map((open && standing ? standing : []).map(s => [s.topicId, s]));
+
+	for (const el of topicsEl.querySelectorAll(".standing")) {
+		const s = mine.get(el.dataset.topicId);
+		el.textContent = s ? `Right now: ${describeStanding(s)}` : "";
 	}
+
+	standingPreviewEl.classList.toggle("hidden", !(open && isHost() && standingPreview));
+	if (!(open && isHost() && standingPreview)) return;
+
+	const names = new Map(room.players.map(p => [p.id, p.name]));
+	let out = "Provisional result if bidding closed now (only hosts see this):\n";
+	for (const t of room.topics) {
+		const winners = standingPreview.winnersByTopic[t.id] ?? [];
+		const cancelled = standingPreview.cancelledTopics.some(c => c.topicId === t.id) ? " (cancelled: too few)" : "";
+		out += `- ${t.name}${cancelled}: ${winners.length ? winners.map(id => names.get(id) || id).join(", ") : "(none)"}\n`;
+	}
+	standingPreviewEl.textContent = out.trim();
+}
+
+function describeStanding(s) {
+	if (s.cancelled) return "topic would be cancelled (too few takers)";
+	if (s.inside) return s.margin === null ? "inside capacity" : `inside capacity, ${s.margin} pts ahead of the next bid`;
+	if (!s.outbid) return "outside capacity (your other bids come first)";
+	if (s.margin === null) return "outside capacity";
+	return s.margin < 0 ? `outside capacity, ${-s.margin} pts short` : "outside capacity (lost the tie-break)";
 }
 
 function renderPlayers() {
@@ -221,48 +641,527 @@ function renderPlayers() {
 	const ul = document.createElement("div");
 	ul.className = "mono";
 
-	const lines = [];
 	for (const p of room.players) {
-		const tag = p.id === room.hostId ? " (host)" : "";
-		lines.push(`${p.name}${tag} — spent ${p.spent}/${room.config.budget}`);
+		const tag = p.id === room.hostId ? " (host)" : room.coHostIds.includes(p.id) ? " (co-host)" : "";
+		const offline = p.online ? "" : " (offline)";
+		const frozen = room.frozen[p.id];
+		const team = p.teamId ? room.teams.find(x => x.id === p.teamId) : null;
+		const status = frozen
+			? `assigned ${frozen.map(f => topicLabel(f.topicId)).join(", ")} in round ${frozen[0].round}`
+			: team
+				? `team ${team.name}`
+				: p.spent === null
+					? "bids sealed"
+					: p.budget === null
+					? `spent ${p.spent}`
+					: `spent ${p.spent}/${p.budget}${p.budgetOverride !== null ? " (custom)" : ""}`;
+
+		const line = document.createElement("div");
+		line.className = "playerRow";
+		line.appendChild(document.createTextNode(`${p.name}${tag}${offline} — ${status}`));
+		for (const btn of playerActions(p)) line.appendChild(btn);
+		ul.appendChild(line);
+	}
+
+	if (isHost() && room.bans.length) {
+		const bans = document.createElement("div");
+		bans.className = "playerRow";
+		bans.appendChild(document.createTextNode("Banned:"));
+		for (const b of room.bans) {
+			bans.appendChild(miniButton(`${b.name} (${b.kind}) ✕`, () => send({ type: "unban", banId: b.id })));
+		}
+		ul.appendChild(bans);
 	}
-	ul.textContent = lines.join("\n");
 
 	playersEl.appendChild(ul);
+	renderRoster();
+	renderTeams();
+}
+
+function renderTeams() {
+	teamsPanel.classList.toggle("hidden", !room.config.teamsEnabled);
+	if (!room.config.teamsEnabled) return;
+
+	const names = new Map(room.players.map(p => [p.id, p.name]));
+	const mine = myTeam();
+	const canChange = !room.locked && !room.frozen[playerId];
+
+	teamListEl.innerHTML = "";
+	if (!room.teams.length) teamListEl.textContent = "No teams yet.";
+
+	for (const t of room.teams) {
+		const line = document.createElement("div");
+		line.className = "playerRow";
+		const members = t.memberIds.map(id => names.get(id) || id).join(", ");
+		const spent = t.spent === null ? "bids sealed" : t.budget === null ? `spent ${t.spent}` : `spent ${t.spent}/${t.budget}`;
+		line.appendChild(document.createTextNode(`${t.name} (${members}) — ${spent}`));
+
+		if (canChange && t.id === mine?.id) {
+			line.appendChild(miniButton("Leave", () => send({ type: "leave_team" })));
+		} else if (canChange && t.memberIds.length < room.config.maxTeamSize) {
+			line.appendChild(miniButton("Join", () => {
+				if (!mine || confirm(`Leave ${mine.name} and join ${t.name}?`)) send({ type: "join_team", teamId: t.id });
+			}));
+		}
+		teamListEl.appendChild(line);
+	}
+
+	createTeamBtn.disabled = !canChange;
+}
+
+/**
+ * Display names for everyone who can hold bids: players on their own and teams.
+ */
+function bidderNames() {
+	return new Map([
+		...room.players.filter(p => !p.teamId).map(p => [p.id, p.name]),
+		...room.teams.map(t => [t.id, `${t.name} (team)`])
+	]);
+}
+
+/**
+ * Host only: roster members who haven't joined or haven't bid yet.
+ */
+function renderRoster() {
+	rosterPanel.classList.toggle("hidden", !room.roster);
+	if (!room.roster) return;
+
+	const missing = room.roster.filter(e => !e.playerId);
+	const idle = room.roster.filter(e => e.playerId && !e.hasBid);
+
+	let out = `Roster: ${room.roster.length - missing.length}/${room.roster.length} joined\n`;
+	if (missing.length) out += `Not joined: ${missing.map(e => e.name).join(", ")}\n`;
+	if (idle.length) out += `No bids yet: ${idle.map(e => e.name).join(", ")}\n`;
+	rosterPanel.textContent = out.trim();
+}
+
+/**
+ * Role and moderation buttons a host gets next to each player.
+ */
+function playerActions(p) {
+	if (!isHost()) return [];
+
+	const buttons = [miniButton("Budget…", () => {
+		const value = prompt(`Budget for ${p.name} (empty = room budget and rules):`, p.budgetOverride ?? "");
+		if (value === null) return;
+		send({ type: "set_player_budget", playerId: p.id, budget: value.trim() === "" ? null : clampInt(value, 0, 10000) });
+	})];
+
+	if (p.id === playerId || p.id === room.hostId) return buttons;
+
+	const coHost = room.coHostIds.includes(p.id);
+
+	if (isOwner()) {
+		buttons.push(miniButton(coHost ? "Remove co-host" : "Make co-host", () => {
+			send({ type: "set_cohost", playerId: p.id, coHost: !coHost });
+		}));
+		buttons.push(miniButton("Make host", () => {
+			if (confirm(`Hand the room over to ${p.name}? You stay on as co-host.`)) {
+				send({ type: "transfer_host", playerId: p.id });
+			}
+		}));
+	}
+
+	if (isOwner() || !coHost) {
+		buttons.push(miniButton("Kick", () => {
+			if (confirm(`Remove ${p.name} and their bids?`)) send({ type: "kick_player", playerId: p.id });
+		}));
+		buttons.push(miniButton("Ban", () => {
+			if (confirm(`Remove ${p.name} and ban the name "${p.name}" from rejoining?`)) {
+				send({ type: "kick_player", playerId: p.id, ban: "name" });
+			}
+		}));
+	}
+
+	return buttons;
+}
+
+/**
+ * Budget rules as text, one per line: `attr=value *factor +bonus`
+ * (either part optional), e.g. `year=senior +20`.
+ */
+function parseBudgetRules(text) {
+	const rules = [];
+	for (const line of text.split("\n")) {
+		const m = line.trim().match(/^([^=\s]+)\s*=\s*(.+?)((?:\s+[*+-]\s*[\d.]+)*)$/);
+		if (!m) continue;
+
+		const rule = { attr: m[1], value: m[2], factor: 1, bonus: 0 };
+		for (const [, op, num] of m[3].matchAll(/([*+-])\s*([\d.]+)/g)) {
+			if (op === "*") rule.factor = Number(num);
+			else rule.bonus = op === "-" ? -Number(num) : Number(num);
+		}
+		rules.push(rule);
+	}
+	return rules;
+}
+
+function formatBudgetRules(rules) {
+	return (rules || []).map(r => {
+		let line = `${r.attr}=${r.value}`;
+		if (r.factor !== 1) line += ` *${r.factor}`;
+		if (r.bonus) line += r.bonus > 0 ? ` +${r.bonus}` : ` -${-r.bonus}`;
+		return line;
+	}).join("\n");
+}
+
+function miniButton(label, onClick) {
+	const btn = document.createElement("button");
+	btn.className = "ghost mini";
+	btn.textContent = label;
+	btn.addEventListener("click", onClick);
+	return btn;
+}
+
+/**
+ * How the result broke ties, with what it takes to redo a lottery draw
+ * (serial dictatorship draws its order the same way whatever the mode).
+ */
+function describeTieBreak(winners) {
+	const tieBreak = winners.tieBreak;
+	if (!tieBreak) return "Ties: earliest bid";
+	const draw = `seed ${tieBreak.seed}; each bidder draws sha256("seed:bidderId"), lowest goes first`;
+	if (tieBreak.mode === "earliest") {
+		return winners.rule === "serial_dictatorship" ? `Ties: earliest bid (order drawn with ${draw})` : "Ties: earliest bid";
+	}
+	if (tieBreak.mode === "priority") return `Ties: priority order, then lottery (${draw})`;
+	return `Ties: seeded lottery (${draw})`;
 }
 
 function renderResults() {
-	if (!lastWinners) {
+	// A host looking at an unpublished (or older) run sees that instead of the published result.
+	const shown = previewRun
+		? { winners: previewRun.winners, explanation: previewRun.explanation, trace: previewRun.trace, rosterReport: previewRun.rosterReport }
+		: { winners: lastWinners, explanation: lastExplanation, trace: lastTrace, rosterReport: lastRosterReport };
+	const { winners, explanation, trace, rosterReport } = shown;
+
+	if (!winners) {
 		resultsEl.textContent = "No results yet.";
 		return;
 	}
 
 	const topicName = new Map(room.topics.map(t => [t.id, t.name]));
-	const playerName = new Map(room.players.map(p => [p.id, p.name]));
+	const playerName = new Map([
+		...Object.entries(room.frozen).map(([pid, slots]) => [pid, slots[0].name]),
+		...room.players.map(p => [p.id, p.name]),
+		...room.teams.map(t => [t.id, `${t.name} (team)`])
+	]);
+	const teamOf = new Map([
+		...Object.entries(room.frozen).filter(([, slots]) => slots[0].teamId).map(([pid, slots]) => [pid, slots[0].team]),
+		...room.players.filter(p => p.teamId).map(p => [p.id, room.teams.find(t => t.id === p.teamId)?.name])
+	]);
 
 	let out = "";
 
+	if (previewRun) {
+		const status = previewRun.published ? "published" : "not published; only hosts can see it";
+		out += `Run ${previewRun.id} from ${new Date(previewRun.at).toLocaleTimeString()} (${status})\n\n`;
+	} else if (room.finalized) {
+		out += "Final results\n\n";
+	}
+
+	if (room.round > 1) out += `Round ${winners.round} (combined with earlier rounds)\n`;
+
+	const rule = [...allocationInput.options].find(o => o.value === winners.rule);
+	if (rule) out += `Allocation: ${rule.textContent}\n`;
+	out += `${describeTieBreak(winners)}\n\n`;
+
 	// Per player assignment
-	out += "Assignments (one topic max per player):\n";
-	const entries = Object.entries(lastWinners.assignmentByPlayer);
+	const maxSlots = room.config.maxAssignmentsPerPlayer;
+	out += maxSlots > 1 ? `Assignments (up to ${maxSlots} per player):\n` : "Assignments (one topic max per player):\n";
+	const entries = Object.entries(winners.assignmentByPlayer);
 	entries.sort((a, b) => (playerName.get(a[0]) || a[0]).localeCompare(playerName.get(b[0]) || b[0]));
-	for (const [pid, tid] of entries) {
-		out += `- ${playerName.get(pid) || pid} -> ${topicName.get(tid) || tid}\n`;
+	// Pins hold for the pinned player's whole team.
+	const pinned = new Set();
+	for (const o of winners.overrides?.pins ?? []) {
+		const team = room.teams.find(t => t.memberIds.includes(o.playerId));
+		for (const pid of team ? team.memberIds : [o.playerId]) pinned.add(`${pid}:${o.topicId}`);
+	}
+	const topicWithMark = (pid, tid) => `${topicName.get(tid) || tid}${pinned.has(`${pid}:${tid}`) ? " [pinned by host]" : ""}`;
+	for (const [pid, topicIds] of entries) {
+		const team = teamOf.get(pid) ? ` (team ${teamOf.get(pid)})` : "";
+		out += `- ${playerName.get(pid) || pid}${team} -> ${topicIds.map(tid => topicWithMark(pid, tid)).join(", ")}\n`;
 	}
 
 	out += "\nWinners by topic:\n";
 	for (const t of room.topics) {
-		const winners = lastWinners.winnersByTopic[t.id] || [];
+		const topicWinners = winners.winnersByTopic[t.id] || [];
 		out += `\n${t.name} (capacity ${t.capacity}):\n`;
-		if (!winners.length) out += "  (no winners)\n";
-		for (const pid of winners) {
-			out += `  - ${playerName.get(pid) || pid}\n`;
+		if (!topicWinners.length) out += "  (no winners)\n";
+		// Team winners are listed together under their team name.
+		const byTeam = new Map();
+		for (const pid of topicWinners) {
+			const team = teamOf.get(pid);
+			if (!team) {
+				out += `  - ${playerName.get(pid) || pid}${pinned.has(`${pid}:${t.id}`) ? " [pinned by host]" : ""}\n`;
+				continue;
+			}
+			if (!byTeam.has(team)) byTeam.set(team, []);
+			byTeam.get(team).push(playerName.get(pid) || pid);
+		}
+		for (const [team, members] of byTeam) {
+			out += `  - Team ${team}: ${members.join(", ")}\n`;
+		}
+	}
+
+	if (winners.cancelledTopics?.length) {
+		out += "\nCancelled (too few enrolled; their winners were placed elsewhere):\n";
+		for (const c of winners.cancelledTopics) {
+			const who = c.playerIds.map(id => playerName.get(id) || id).join(", ");
+			out += `- ${topicName.get(c.topicId) || c.topicId}: ${c.seats} of minimum ${c.minCapacity} (${who})\n`;
+		}
+	}
+
+	const overrides = winners.overrides;
+	if (overrides && (overrides.pins.length || overrides.forbids.length)) {
+		out += `\nHost overrides: ${describeOverrides(overrides, (pid) => playerName.get(pid) || pid)}\n`;
+	}
+
+	if (room.rounds.length) {
+		out += "\nEarlier rounds:\n";
+		for (const r of room.rounds) {
+			const assigned = Object.entries(r.assignmentByPlayer)
+				.map(([pid, topicIds]) => `${playerName.get(pid) || pid} -> ${topicIds.map(tid => topicName.get(tid) || tid).join(" + ")}`);
+			out += `Round ${r.round}: ${assigned.join(", ") || "(nobody assigned)"}\n`;
+		}
+	}
+
+	if (explanation) {
+		const mine = explanation.assignedTopicIds;
+		out += `\nYour result: ${mine.length ? mine.map(tid => topicName.get(tid) || tid).join(", ") : "no topic"}\n`;
+		for (const b of explanation.bids) {
+			const status = b.won
+				? "won"
+				: b.forbidden
+					? "excluded by the host"
+					: b.cancelled
+						? "topic cancelled"
+						: b.lowestWinningBid === null
+							? "not won"
+							: `not won (lowest winning bid ${b.lowestWinningBid})`;
+			out += `- ${topicName.get(b.topicId) || b.topicId}: bid ${b.amount}, ranked ${b.rank}/${b.bidders}, ${status}\n`;
+		}
+		for (const step of explanation.steps) {
+			out += `  · ${describeStep(step, topicName, playerName)}\n`;
+		}
+	}
+
+	if (rosterReport?.length) {
+		const reasons = { not_joined: "never joined", no_bids: "placed no bids", outbid: "outbid everywhere" };
+		out += "\nRoster members without a topic:\n";
+		for (const r of rosterReport) out += `- ${r.name} (${reasons[r.reason] || r.reason})\n`;
+	}
+
+	if (trace) {
+		out += "\nAllocation trace (host only):\n";
+		for (const step of trace) {
+			out += `${describeStep(step, topicName, playerName)}\n`;
 		}
 	}
 
 	resultsEl.textContent = out.trim();
 }
 
+/**
+ * Host only: the pin/forbid/swap controls and the overrides in force.
+ */
+function renderOverrides() {
+	const players = room.players.filter(p => !room.frozen[p.id]);
+	const playerOptions = players.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join("");
+	const topicOptions = room.topics.map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join("");
+	for (const [select, options] of [[overridePlayerInput, playerOptions], [swapAInput, playerOptions], [swapBInput, playerOptions], [overrideTopicInput, topicOptions]]) {
+		// Re-rendering would drop the host's pick, so only rebuild when the choices changed.
+		if (select.dataset.options === options) continue;
+		const current = select.value;
+		select.innerHTML = options;
+		select.dataset.options = options;
+		if ([...select.options].some(o => o.value === current)) select.value = current;
+	}
+
+	const name = (pid) => room.players.find(p => p.id === pid)?.name ?? pid;
+	overrideListEl.innerHTML = "";
+	const entries = [
+		...room.overrides.pins.map(o => ({ ...o, label: "pinned to" })),
+		...room.overrides.forbids.map(o => ({ ...o, label: "forbidden from" }))
+	];
+	for (const o of entries) {
+		const line = document.createElement("div");
+		line.className = "playerRow";
+		line.appendChild(document.createTextNode(`${name(o.playerId)} ${o.label} ${topicLabel(o.topicId)}`));
+		if (!room.finalized) {
+			line.appendChild(miniButton("Remove", () => send({ type: "set_override", playerId: o.playerId, topicId: o.topicId, kind: "none" }, hostErrorEl)));
+		}
+		overrideListEl.appendChild(line);
+	}
+}
+
+/**
+ * Host only: every computation so far, newest first, plus the chosen comparison.
+ */
+function renderHistory() {
+	const runs = isHost() ? room.runs : null;
+	historyPanel.classList.toggle("hidden", !runs?.length);
+	if (!runs?.length) return;
+
+	const newestFirst = [...runs].reverse();
+	const label = (r) => `${new Date(r.at).toLocaleTimeString()} · round ${r.round}${r.published ? " · published" : ""}`;
+
+	runListEl.innerHTML = "";
+	for (const r of newestFirst) {
+		const line = document.createElement("div");
+		line.className = "playerRow";
+		line.appendChild(document.createTextNode(`${label(r)} · ${r.rule} · ${r.assigned} assigned`));
+		line.appendChild(miniButton("View", () => send({ type: "get_run", runId: r.id }, hostErrorEl)));
+		if (!room.finalized && r.round === room.round) {
+			line.appendChild(miniButton("Publish", () => send({ type: "publish_results", runId: r.id }, hostErrorEl)));
+		}
+		runListEl.appendChild(line);
+	}
+
+	// Keep the selection across updates; default to the two newest runs.
+	for (const [select, fallback] of [[diffFromInput, newestFirst[1] ?? newestFirst[0]], [diffToInput, newestFirst[0]]]) {
+		const current = select.value;
+		select.innerHTML = newestFirst.map(r => `<option value="${r.id}">${escapeHtml(label(r))}</option>`).join("");
+		select.value = runs.some(r => r.id === current) ? current : fallback.id;
+	}
+	diffBtn.disabled = runs.length < 2;
+
+	runDiffEl.classList.toggle("hidden", !runDiff);
+	if (runDiff) runDiffEl.textContent = describeDiff(runDiff);
+}
+
+function describeDiff(diff) {
+	const topic = (id) => topicLabel(id);
+	const who = (id) => diff.names[id] || id;
+	const list = (ids) => ids.length ? ids.map(topic).join(", ") : "nothing";
+
+	let out = "";
+	if (!diff.moved.length) out += "Nobody moved.\n";
+	for (const m of diff.moved) out += `- ${m.name}: ${list(m.from)} -> ${list(m.to)}\n`;
+
+	if (diff.topics.length) out += "\nTopics that changed:\n";
+	for (const t of diff.topics) {
+		const parts = [];
+		if (t.gained.length) parts.push(`+ ${t.gained.map(who).join(", ")}`);
+		if (t.lost.length) parts.push(`- ${t.lost.map(who).join(", ")}`);
+		out += `- ${t.name}: ${parts.join("; ")}\n`;
+	}
+
+	if (diff.topicEdits.length) out += "\nTopic edits:\n";
+	for (const e of diff.topicEdits) {
+		if (!e.from) out += `- ${e.name}: added (capacity ${e.to.capacity})\n`;
+		else if (!e.to) out += `- ${e.name}: removed\n`;
+		else out += `- ${e.name}: capacity ${e.from.capacity} -> ${e.to.capacity}, minimum ${e.from.minCapacity ?? 0} -> ${e.to.minCapacity ?? 0}\n`;
+	}
+
+	if (diff.settings.length) out += "\nSettings:\n";
+	for (const c of diff.settings) {
+		if (c.key === "overrides") out += `- host overrides: ${describeOverrides(c.from, who)} -> ${describeOverrides(c.to, who)}\n`;
+		else out += `- ${c.key}: ${JSON.stringify(c.from)} -> ${JSON.stringify(c.to)}\n`;
+	}
+
+	if (diff.bids.length) out += "\nBids that changed:\n";
+	for (const b of diff.bids) out += `- ${b.name} on ${topic(b.topicId)}: ${b.from} -> ${b.to}\n`;
+
+	return out.trim();
+}
+
+function describeOverrides(overrides, name) {
+	if (!overrides || (!overrides.pins.length && !overrides.forbids.length)) return "none";
+	return [
+		...overrides.pins.map(o => `${name(o.playerId)} pinned to ${topicLabel(o.topicId)}`),
+		...overrides.forbids.map(o => `${name(o.playerId)} forbidden from ${topicLabel(o.topicId)}`)
+	].join(", ");
+}
+
+function describeStep(step, topicName, playerName) {
+	const t = (id) => topicName.get(id) || id;
+	const p = (id) => playerName.get(id) || id;
+
+	switch (step.step) {
+		case "tentative":
+			return `${t(step.topicId)}: tentative winners ${step.playerIds.map(p).join(", ") || "(none)"}`;
+		case "dropped":
+			if (step.reason === "too_big") return `${p(step.playerId)} moved out of ${t(step.topicId)} (bid ${step.amount}): not enough seats for the whole team`;
+			return `${p(step.playerId)} dropped from ${t(step.topicId)} (bid ${step.amount}), kept ${t(step.keptTopicId)} (bid ${step.keptAmount})`;
+		case "skipped":
+			return step.reason === "full"
+				? `${p(step.playerId)} skipped ${t(step.topicId)} (bid ${step.amount}): already full`
+				: `${p(step.playerId)} skipped for ${t(step.topicId)} (bid ${step.amount}): already has ${t(step.assignedTopicId)}`;
+		case "refilled":
+			return `${t(step.topicId)}: vacancy refilled by ${p(step.playerId)} (bid ${step.amount})`;
+		case "assigned":
+			return `${p(step.playerId)} -> ${t(step.topicId)} (bid ${step.amount})`;
+		case "optimized":
+			return `Total winning points: ${step.total}`;
+		case "proposed":
+			return `${p(step.playerId)} applied to ${t(step.topicId)} (bid ${step.amount})`;
+		case "rejected":
+			return step.reason === "too_big"
+				? `${p(step.playerId)} rejected by ${t(step.topicId)} (bid ${step.amount}): team too big for it`
+				: `${p(step.playerId)} rejected by ${t(step.topicId)} (bid ${step.amount}): outranked`;
+		case "order":
+			return `Draw order: ${step.playerIds.map(p).join(", ")}`;
+		case "cancelled":
+			return `${t(step.topicId)} cancelled: ${step.seats} of minimum ${step.minCapacity} (${step.playerIds.map(p).join(", ")}); allocating again without it`;
+		case "picked":
+			return `${p(step.playerId)} picked ${t(step.topicId)} (bid ${step.amount})`;
+		case "pinned":
+			return `${p(step.playerId)} pinned to ${t(step.topicId)} by the host`;
+		case "forbidden":
+			return `${p(step.playerId)}'s bid on ${t(step.topicId)} (${step.amount}) set aside: forbidden by the host`;
+		default:
+			return JSON.stringify(step);
+	}
+}
+
+/**
+ * Say which bids the server changed to keep us within budget, instead of
+ * letting sliders jump without explanation.
+ */
+function showBidAdjustments({ reason, changes }) {
+	const why = {
+		over_budget: "to stay within budget",
+		budget_changed: "because the host changed the budget",
+		team_changed: "because your team's budget shrank"
+	}[reason] ?? "";
+	const list = changes.map(c => `${topicLabel(c.topicId)} ${c.from} → ${c.to}`).join(", ");
+
+	noticeEl.textContent = `Bids adjusted ${why}: ${list}.`;
+	noticeEl.classList.remove("hidden");
+	clearTimeout(noticeTimer);
+	noticeTimer = setTimeout(() => noticeEl.classList.add("hidden"), 10000);
+}
+
+function renderCountdown() {
+	const d = room?.deadline;
+	countdownBadge.classList.toggle("hidden", !d);
+	if (!d) return;
+
+	const left = Math.max(0, Math.ceil((d.endsAt - (Date.now() + clockOffset)) / 1000));
+	const mm = String(Math.floor(left / 60)).padStart(2, "0");
+	const ss = String(left % 60).padStart(2, "0");
+	const extended = d.extensions ? ` (extended ×${d.extensions})` : "";
+	countdownBadge.textContent = `Closes in ${mm}:${ss}${extended}`;
+	countdownBadge.classList.toggle("warn", left <= 30);
+}
+
+setInterval(renderCountdown, 250);
+
+function renderExportLinks() {
+	const token = encodeURIComponent(loadSessionToken(room.id) ?? "");
+	const base = `/api/rooms/${encodeURIComponent(room.id)}/export`;
+	const reports = [["assignments", "Assignments"], ["bids", "Bid matrix"], ["winners", "Winners by topic"]];
+
+	exportLinksEl.innerHTML = reports.map(([key, label]) => `
+		<span>${label}:
+			<a href="${base}/${key}.csv?token=${token}" download>CSV</a>
+			<a href="${base}/${key}.json?token=${token}" download>JSON</a>
+		</span>
+	`).join("");
+	projectorLink.href = `projector.html?room=${encodeURIComponent(room.id)}`;
+}
+
 function renderTopicEditor() {
 	if (!isHost()) return;
 
@@ -273,35 +1172,63 @@ function renderTopicEditor() {
 	];
 
 	for (const t of topics) {
-		const row = document.createElement("div");
-		row.className = "row";
-		row.style.marginBottom = "10px";
-
-		const name = document.createElement("input");
-		name.value = t.name;
-		name.placeholder = "Topic name";
-
-		const cap = document.createElement("input");
-		cap.type = "number";
-		cap.min = "1";
-		cap.max = "20";
-		cap.step = "1";
-		cap.value = String(t.capacity);
-
-		const del = document.createElement("button");
-		del.className = "ghost";
-		del.textContent = "Delete";
-		del.addEventListener("click", () => {
-			row.remove();
-		});
+		topicRowsEl.appendChild(topicEditorRow(t));
+	}
+}
 
-		row.dataset.topicId = t.id;
-		row.appendChild(name);
-		row.appendChild(cap);
-		row.appendChild(del);
+function topicEditorRow(t) {
+	const row = document.createElement("div");
+	row.className = "row";
+	row.style.marginBottom = "10px";
 
-		topicRowsEl.appendChild(row);
-	}
+	const name = document.createElement("input");
+	name.value = t.name;
+	name.placeholder = "Topic name";
+
+	const cap = document.createElement("input");
+	cap.type = "number";
+	cap.min = "1";
+	cap.max = "20";
+	cap.step = "1";
+	cap.value = String(t.capacity);
+	cap.title = "Capacity";
+
+	const min = document.createElement("input");
+	min.type = "number";
+	min.min = "0";
+	min.max = "20";
+	min.step = "1";
+	min.value = String(t.minCapacity ?? 0);
+	min.title = "Minimum enrollment (0 = none)";
+
+	const perPlayer = document.createElement("input");
+	perPlayer.type = "number";
+	perPlayer.min = "1";
+	perPlayer.max = "20";
+	perPlayer.step = "1";
+	perPlayer.value = String(t.maxPerPlayer ?? 1);
+	perPlayer.title = "Slots one player can hold";
+
+	const desc = document.createElement("input");
+	desc.value = t.description ?? "";
+	desc.placeholder = "Description (optional)";
+
+	const del = document.createElement("button");
+	del.className = "ghost";
+	del.textContent = "Delete";
+	del.addEventListener("click", () => {
+		row.remove();
+	});
+
+	row.dataset.topicId = t.id;
+	row.appendChild(name);
+	row.appendChild(cap);
+	row.appendChild(min);
+	row.appendChild(perPlayer);
+	row.appendChild(desc);
+	row.appendChild(del);
+
+	return row;
 }
 
 function collectTopicsFromEditor() {
@@ -310,7 +1237,10 @@ function collectTopicsFromEditor() {
 		const inputs = r.querySelectorAll("input");
 		const name = inputs[0].value.trim();
 		const cap = clampInt(inputs[1].value, 1, 20);
-		return { id: r.dataset.topicId || cryptoId(), name, capacity: cap };
+		const minCapacity = clampInt(inputs[2].value, 0, cap);
+		const maxPerPlayer = clampInt(inputs[3].value, 1, cap);
+		const description = inputs[4].value.trim();
+		return { id: r.dataset.topicId || cryptoId(), name, capacity: cap, minCapacity, maxPerPlayer, description };
 	}).filter(t => t.name.length);
 }
 
@@ -318,61 +1248,141 @@ joinBtn.addEventListener("click", () => {
 	const roomId = roomInput.value.trim().toUpperCase();
 	const name = nameInput.value.trim();
 	if (!roomId || !name) {
-		alert("Room code and name required.");
+		showError(joinErrorEl, "Room code and name required.");
 		return;
 	}
+	joinParams = { roomId, name, passcode: passcodeInput.value.trim(), rosterCode: rosterCodeInput.value.trim() };
 	connect();
-	ws.addEventListener("open", () => {
-		send({ type: "join", roomId, name });
-	});
+});
+
+createBtn.addEventListener("click", () => {
+	const name = nameInput.value.trim();
+	if (!name) {
+		showError(joinErrorEl, "Name required.");
+		return;
+	}
+	joinParams = { create: true, name, passcode: newPasscodeInput.value.trim() };
+	connect();
+});
+
+rosterInput.addEventListener("change", async () => {
+	const file = rosterInput.files[0];
+	rosterInput.value = "";
+	if (!file) return;
+
+	const text = await file.text();
+	const isJson = file.name.toLowerCase().endsWith(".json") || file.type === "application/json";
+	if (!isJson) {
+		send({ type: "set_roster", roster: text }, hostErrorEl);
+		return;
+	}
+	try {
+		send({ type: "set_roster", roster: JSON.parse(text) }, hostErrorEl);
+	} catch {
+		showError(hostErrorEl, "That file isn't valid JSON.");
+	}
+});
+
+clearRosterBtn.addEventListener("click", () => {
+	if (confirm("Remove the roster and let anyone with the room code join?")) send({ type: "set_roster", roster: null }, hostErrorEl);
+});
+
+setPasscodeBtn.addEventListener("click", () => {
+	send({ type: "set_passcode", passcode: passcodeSettingInput.value.trim() }, hostErrorEl);
+	passcodeSettingInput.value = "";
 });
 
 saveConfigBtn.addEventListener("click", () => {
 	send({
 		type: "set_config",
 		budget: clampInt(budgetInput.value, 1, 10000),
+		allocation: allocationInput.value,
+		overBudget: overBudgetInput.value,
+		tieBreak: tieBreakInput.value,
+		tieBreakSeed: tieBreakSeedInput.value.trim(),
+		priorityOrder: priorityOrderInput.value.split("\n").map(l => l.trim()).filter(Boolean),
+		maxAssignmentsPerPlayer: clampInt(maxAssignmentsInput.value, 1, 10),
+		budgetRules: parseBudgetRules(budgetRulesInput.value),
 		revealBids: !!revealBidsInput.checked,
-		allowJoinAfterLock: !!allowJoinAfterLockInput.checked
-	});
+		showBidderCounts: !!showBidderCountsInput.checked,
+		allowJoinAfterLock: !!allowJoinAfterLockInput.checked,
+		teamsEnabled: !!teamsEnabledInput.checked,
+		maxTeamSize: clampInt(maxTeamSizeInput.value, 2, 10),
+		teamBudget: teamBudgetInput.value,
+		teamCapacity: teamCapacityInput.value
+	}, hostErrorEl);
 });
 
-lockBtn.addEventListener("click", () => send({ type: "lock_bids" }));
-unlockBtn.addEventListener("click", () => send({ type: "unlock_bids" }));
-computeBtn.addEventListener("click", () => send({ type: "compute_winners" }));
-
-addTopicBtn.addEventListener("click", () => {
-	const row = document.createElement("div");
-	row.className = "row";
-	row.style.marginBottom = "10px";
-	row.dataset.topicId = cryptoId();
+lockBtn.addEventListener("click", () => send({ type: "lock_bids" }, hostErrorEl));
+unlockBtn.addEventListener("click", () => send({ type: "unlock_bids" }, hostErrorEl));
+computeBtn.addEventListener("click", () => send({ type: "compute_winners" }, hostErrorEl));
+// Publishes the run on screen, or else the newest one.
+publishBtn.addEventListener("click", () => {
+	if (!confirm("Publish these results to everyone? The room stays frozen until the next round.")) return;
+	const runId = previewRun && !previewRun.published && previewRun.round === room.round ? previewRun.id : undefined;
+	send({ type: "publish_results", runId }, hostErrorEl);
+});
+pinBtn.addEventListener("click", () => {
+	send({ type: "set_override", playerId: overridePlayerInput.value, topicId: overrideTopicInput.value, kind: "pin" }, hostErrorEl);
+});
+forbidBtn.addEventListener("click", () => {
+	send({ type: "set_override", playerId: overridePlayerInput.value, topicId: overrideTopicInput.value, kind: "forbid" }, hostErrorEl);
+});
+swapBtn.addEventListener("click", () => send({ type: "swap_players", playerA: swapAInput.value, playerB: swapBInput.value }, hostErrorEl));
+diffBtn.addEventListener("click", () => send({ type: "diff_runs", fromId: diffFromInput.value, toId: diffToInput.value }, hostErrorEl));
+revealBtn.addEventListener("click", () => send({ type: "reveal_bids" }, hostErrorEl));
+nextRoundBtn.addEventListener("click", () => send({ type: "next_round" }, hostErrorEl));
+
+claimHostBtn.addEventListener("click", () => {
+	const hostKey = prompt("Host key:");
+	if (hostKey) send({ type: "claim_host", hostKey: hostKey.trim() });
+});
 
-	const name = document.createElement("input");
-	name.placeholder = "Topic name";
+startDeadlineBtn.addEventListener("click", () => {
+	send({
+		type: "set_deadline",
+		durationSec: Math.round(Number(deadlineMinutesInput.value) * 60),
+		softCloseSec: clampInt(softCloseInput.value, 0, 300),
+		autoCompute: !!autoComputeInput.checked
+	}, hostErrorEl);
+});
+clearDeadlineBtn.addEventListener("click", () => send({ type: "clear_deadline" }, hostErrorEl));
 
-	const cap = document.createElement("input");
-	cap.type = "number";
-	cap.min = "1";
-	cap.max = "20";
-	cap.step = "1";
-	cap.value = "1";
+createTeamBtn.addEventListener("click", () => {
+	const name = teamNameInput.value.trim();
+	if (!name) return;
+	send({ type: "create_team", name });
+	teamNameInput.value = "";
+});
 
-	const del = document.createElement("button");
-	del.className = "ghost";
-	del.textContent = "Delete";
-	del.addEventListener("click", () => row.remove());
+addTopicBtn.addEventListener("click", () => {
+	topicRowsEl.appendChild(topicEditorRow({ id: cryptoId(), name: "", capacity: 1 }));
+});
 
-	row.appendChild(name);
-	row.appendChild(cap);
-	row.appendChild(del);
+importTopicsInput.addEventListener("change", async () => {
+	const file = importTopicsInput.files[0];
+	importTopicsInput.value = "";
+	if (!file) return;
 
-	topicRowsEl.appendChild(row);
+	const isJson = file.name.toLowerCase().endsWith(".json") || file.type === "application/json";
+	send({ type: "import_topics", format: isJson ? "json" : "csv", data: await file.text() }, topicErrorEl);
 });
 
 saveTopicsBtn.addEventListener("click", () => {
 	const topics = collectTopicsFromEditor();
-	send({ type: "set_topics", topics });
+	send({ type: "set_topics", topics }, topicErrorEl);
 });
 
+try {
+	nameInput.value = localStorage.getItem("lastName") || "";
+} catch {
+	// No storage; leave the field empty.
+}
+
+function topicLabel(topicId) {
+	return room.topics.find(t => t.id === topicId)?.name ?? topicId;
+}
+
 function clampInt(v, min, max) {
 	const n = Math.floor(Number(v));
 	if (!Number.isFinite(n)) return min;
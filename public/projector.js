@@ -0,0 +1,293 @@
+let ws = null;
+let room = null;
+let lastWinners = null;
+let revealedWinners = null; // The result the reveal animation last played, so updates don't replay it.
+let shownHidden = null; // Whether the results on screen hide names.
+let watchParams = null; // { roomId, passcode }
+let watching = false;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let clockOffset = 0;
+let resyncing = false;
+let requestSeq = 0;
+
+// Must match PROTOCOL_VERSION in server.js.
+const PROTOCOL_VERSION = 1;
+
+// Delay between topics (and between names within a topic) during the reveal.
+const REVEAL_TOPIC_MS = 900;
+const REVEAL_NAME_MS = 250;
+
+const watchForm = document.querySelector("#watchForm");
+const stage = document.querySelector("#stage");
+const roomInput = document.querySelector("#roomInput");
+const passcodeInput = document.querySelector("#passcodeInput");
+const watchBtn = document.querySelector("#watchBtn");
+const watchErrorEl = document.querySelector("#watchError");
+
+const roomLabel = document.querySelector("#roomLabel");
+const roundLabel = document.querySelector("#roundLabel");
+const playerCountEl = document.querySelector("#playerCount");
+const lockBadge = document.querySelector("#lockBadge");
+const connBadge = document.querySelector("#connBadge");
+const countdownEl = document.querySelector("#countdown");
+const stageTopicsEl = document.querySelector("#stageTopics");
+
+function connect() {
+	const proto = location.protocol === "https:" ? "wss" : "ws";
+	ws = new WebSocket(`${proto}://${location.host}`);
+
+	ws.addEventListener("open", () => {
+		const { roomId, passcode } = watchParams;
+		send({ type: "join", protocol: PROTOCOL_VERSION, role: "observer", roomId, passcode });
+	});
+
+	ws.addEventListener("message", (ev) => {
+		const msg = JSON.parse(ev.data);
+
+		if (msg.type === "error") {
+			showError(msg.message);
+			return;
+		}
+
+		if (msg.type === "joined") {
+			clockOffset = msg.room.serverNow - Date.now();
+			reconnectAttempts = 0;
+			watching = true;
+			connBadge.classList.add("hidden");
+			room = msg.room;
+			lastWinners = msg.winners ?? null;
+			// Results that were already out when we joined show without the animation.
+			revealedWinners = lastWinners;
+			watchForm.classList.add("hidden");
+			stage.classList.remove("hidden");
+			history.replaceState(null, "", `?room=${encodeURIComponent(room.id)}`);
+			render();
+			return;
+		}
+
+		if (msg.type === "room_update") {
+			clockOffset = msg.room.serverNow - Date.now();
+			room = msg.room;
+			resyncing = false;
+			render();
+			return;
+		}
+
+		if (msg.type === "patch") {
+			if (!room || resyncing) return;
+			if (msg.from !== room.version) {
+				resyncing = true;
+				send({ type: "resync" });
+				return;
+			}
+			for (const p of msg.patches) applyPatch(p);
+			room.version = msg.to;
+			render();
+			return;
+		}
+
+		if (msg.type === "winners") {
+			lastWinners = msg.winners;
+			if (!lastWinners) revealedWinners = null;
+			render();
+			return;
+		}
+	});
+
+	ws.addEventListener("close", (ev) => {
+		// Never got in, or the server hung up on purpose: back to the form.
+		if (!watching || ev.code >= 4000) {
+			watching = false;
+			stage.classList.add("hidden");
+			watchForm.classList.remove("hidden");
+			return;
+		}
+		scheduleReconnect();
+	});
+}
+
+// Same backoff as the player page.
+function scheduleReconnect() {
+	clearTimeout(reconnectTimer);
+	connBadge.classList.remove("hidden");
+
+	const delay = Math.min(30000, 1000 * 2 ** reconnectAttempts) + Math.random() * 500;
+	reconnectAttempts++;
+	reconnectTimer = setTimeout(connect, delay);
+}
+
+function send(msg) {
+	if (!ws || ws.readyState !== WebSocket.OPEN) return;
+	ws.send(JSON.stringify({ ...msg, id: ++requestSeq }));
+}
+
+function showError(message) {
+	watchErrorEl.textContent = message;
+	watchErrorEl.classList.remove("hidden");
+}
+
+/**
+ * Same patch ops as applyPatch in app.js; an observer never sees bids it
+ * isn't allowed to, so `bid_changed` only arrives when bids are revealed.
+ */
+function applyPatch(p) {
+	if (p.op === "player_joined" || p.op === "player_changed") {
+		const i = room.players.findIndex(x => x.id === p.player.id);
+		if (i >= 0) room.players[i] = p.player;
+		else room.players.push(p.player);
+	} else if (p.op === "team_changed") {
+		const i = room.teams.findIndex(x => x.id === p.team.id);
+		if (i >= 0) room.teams[i] = p.team;
+	} else if (p.op === "bid_changed") {
+		const bids = (room.bids[p.bidderId] ??= {});
+		if (p.bid) bids[p.topicId] = p.bid;
+		else delete bids[p.topicId];
+	} else if (p.op === "bidder_counts") {
+		room.bidderCounts = p.bidderCounts;
+	} else if (p.op === "roster_changed") {
+		room.roster = p.roster;
+	}
+}
+
+function render() {
+	if (!room) return;
+
+	roomLabel.textContent = room.id;
+	roundLabel.textContent = String(room.round);
+	const online = room.players.filter(p => p.online).length;
+	playerCountEl.textContent = `${online} of ${room.players.length} players online`;
+	lockBadge.classList.toggle("hidden", !room.locked);
+
+	if (lastWinners) renderResults();
+	else renderDemand();
+	renderCountdown();
+}
+
+/**
+ * While bidding is open: one tile per topic with how many bid on it against
+ * the seats it has left. Counts are only there if the host shows them.
+ */
+function renderDemand() {
+	stageTopicsEl.innerHTML = "";
+	stageTopicsEl.classList.remove("revealing");
+
+	if (!room.topics.length) {
+		stageTopicsEl.innerHTML = `<p class="hint">No topics yet.</p>`;
+		return;
+	}
+
+	for (const t of room.topics) {
+		const remaining = room.remaining[t.id] ?? t.capacity;
+		const bidders = room.bidderCounts?.[t.id] ?? null;
+
+		const tile = document.createElement("div");
+		tile.className = "stageTile";
+
+		let demandText = "Demand hidden";
+		let fill = 0;
+		if (bidders !== null) {
+			demandText = `${bidders} bidder${bidders === 1 ? "" : "s"} · ${remaining} seat${remaining === 1 ? "" : "s"}`;
+			fill = remaining ? Math.min(1, bidders / remaining) : 1;
+			if (bidders > remaining) tile.classList.add("over");
+		}
+
+		tile.innerHTML = `
+			<div class="stageTopicName">${escapeHtml(t.name)}</div>
+			<div class="stageDemand">${demandText}</div>
+			<div class="fillBar"><div class="fillBarInner"></div></div>
+		`;
+		tile.querySelector(".fillBarInner").style.width = `${Math.round(fill * 100)}%`;
+		stageTopicsEl.appendChild(tile);
+	}
+}
+
+/**
+ * Results: every topic with its winners. A result we haven't shown yet
+ * plays in topic by topic. Names stay hidden in rooms that seal bids, even
+ * once published results have revealed them to the players.
+ */
+function renderResults() {
+	const animate = lastWinners !== revealedWinners;
+	const hideNames = room.config.revealBids === false;
+	// Room updates keep coming; redrawing would cut a running reveal short.
+	if (!animate && hideNames === shownHidden && stageTopicsEl.querySelector(".stageWinners")) return;
+	revealedWinners = lastWinners;
+	shownHidden = hideNames;
+
+	stageTopicsEl.innerHTML = "";
+	stageTopicsEl.classList.toggle("revealing", animate);
+
+	room.topics.forEach((t, i) => {
+		const winners = lastWinners.winnersByTopic[t.id] ?? [];
+		const cancelled = (lastWinners.cancelledTopics ?? []).some(c => c.topicId === t.id);
+
+		const tile = document.createElement("div");
+		tile.className = "stageTile";
+		if (cancelled) tile.classList.add("cancelled");
+		tile.style.animationDelay = `${i * REVEAL_TOPIC_MS}ms`;
+
+		const summary = cancelled
+			? "Cancelled (too few takers)"
+			: `${winners.length} of ${t.capacity} seat${t.capacity === 1 ? "" : "s"} filled`;
+
+		tile.innerHTML = `
+			<div class="stageTopicName">${escapeHtml(t.name)}</div>
+			<div class="stageDemand">${summary}</div>
+			<ul class="stageWinners"></ul>
+		`;
+
+		const list = tile.querySelector(".stageWinners");
+		winners.forEach((pid, j) => {
+			const li = document.createElement("li");
+			li.textContent = hideNames ? "●" : playerName(pid);
+			li.style.animationDelay = `${i * REVEAL_TOPIC_MS + (j + 1) * REVEAL_NAME_MS}ms`;
+			list.appendChild(li);
+		});
+
+		stageTopicsEl.appendChild(tile);
+	});
+}
+
+function renderCountdown() {
+	const d = room?.deadline;
+	countdownEl.classList.toggle("hidden", !d || !!lastWinners);
+	if (!d || lastWinners) return;
+
+	const left = Math.max(0, Math.ceil((d.endsAt - (Date.now() + clockOffset)) / 1000));
+	const mm = String(Math.floor(left / 60)).padStart(2, "0");
+	const ss = String(left % 60).padStart(2, "0");
+	countdownEl.textContent = `${mm}:${ss}`;
+	countdownEl.classList.toggle("warn", left <= 30);
+}
+
+setInterval(renderCountdown, 250);
+
+watchBtn.addEventListener("click", () => {
+	const roomId = roomInput.value.trim().toUpperCase();
+	if (!roomId) return showError("Enter a room code.");
+	watchErrorEl.classList.add("hidden");
+	watchParams = { roomId, passcode: passcodeInput.value.trim() || undefined };
+	connect();
+});
+
+// projector.html?room=CODE starts watching right away (the host panel links here).
+const linkedRoom = new URLSearchParams(location.search).get("room");
+if (linkedRoom) {
+	roomInput.value = linkedRoom;
+	watchParams = { roomId: linkedRoom.toUpperCase() };
+	connect();
+}
+
+function playerName(pid) {
+	return room.players.find(p => p.id === pid)?.name ?? "?";
+}
+
+function escapeHtml(s) {
+	return String(s)
+		.replaceAll("&", "&amp;")
+		.replaceAll("<", "&lt;")
+		.replaceAll(">", "&gt;")
+		.replaceAll('"', "&quot;")
+		.replaceAll("'", "&#039;");
+}
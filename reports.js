@@ -0,0 +1,132 @@
+import { toCsv } from "./csv.js";
+
+/**
+ * Downloadable result/bid exports. Each report builds plain rows once and
+ * renders them as either JSON (array of objects) or CSV (header + rows).
+ */
+
+/**
+ * What a player paid for the topic they were assigned, as of the last computation.
+ */
+export function winningBid(room, playerId, topicId) {
+	const frozen = room.frozen.get(playerId)?.find(f => f.topicId === topicId);
+	if (frozen) return frozen.amount ?? null;
+
+	// Team members bid through their team.
+	const bidderId = room.players.get(playerId)?.teamId ?? playerId;
+	const explained = room.lastExplanations[playerId]?.bids.find(b => b.topicId === topicId);
+	return explained?.amount ?? room.bids.get(bidderId)?.get(topicId)?.amount ?? null;
+}
+
+function playerName(room, playerId) {
+	return room.players.get(playerId)?.name ?? room.frozen.get(playerId)?.[0]?.name ?? playerId;
+}
+
+function teamName(room, playerId) {
+	const teamId = room.players.get(playerId)?.teamId;
+	return room.teams.get(teamId)?.name ?? room.frozen.get(playerId)?.[0]?.team ?? null;
+}
+
+function topicName(room, topicId) {
+	return room.topics.find(t => t.id === topicId)?.name ?? topicId;
+}
+
+/**
+ * Whether the host pinned this slot (a pin on a team member holds for the whole team).
+ */
+function pinnedByHost(room, winners, playerId, topicId) {
+	const teamId = room.players.get(playerId)?.teamId;
+	return (winners.overrides?.pins ?? []).some(o =>
+		o.topicId === topicId && (o.playerId === playerId || (teamId && room.players.get(o.playerId)?.teamId === teamId))
+	);
+}
+
+/**
+ * Final assignment: one row per slot a player was assigned.
+ */
+function assignments(room) {
+	const columns = ["playerId", "player", "team", "topicId", "topic", "bid", "round", "pinned"];
+	const rows = [];
+	const winners = room.lastWinners;
+	if (winners) {
+		for (const [pid, topicIds] of Object.entries(winners.assignmentByPlayer)) {
+			for (const tid of topicIds) {
+				rows.push({
+					playerId: pid,
+					player: playerName(room, pid),
+					team: teamName(room, pid),
+					topicId: tid,
+					topic: topicName(room, tid),
+					bid: winningBid(room, pid, tid),
+					round: room.frozen.get(pid)?.find(f => f.topicId === tid)?.round ?? winners.round,
+					pinned: pinnedByHost(room, winners, pid, tid)
+				});
+			}
+		}
+	}
+	rows.sort((a, b) => a.player.localeCompare(b.player));
+	return { columns, rows };
+}
+
+/**
+ * Current bids: one row per player, one column per topic. Team members
+ * each show the team's bids. Topic columns are keyed `topic:<id>` (names
+ * needn't be unique) with the topic name as the CSV header.
+ */
+function bidMatrix(room) {
+	const topicColumn = (t) => `topic:${t.id}`;
+	const columns = ["playerId", "player", "team", ...room.topics.map(topicColumn)];
+	const headers = Object.fromEntries(room.topics.map(t => [topicColumn(t), t.name]));
+	const rows = [];
+	for (const p of room.players.values()) {
+		const perTopic = room.bids.get(p.teamId ?? p.id) ?? new Map();
+		const row = { playerId: p.id, player: p.name, team: teamName(room, p.id) };
+		for (const t of room.topics) row[topicColumn(t)] = perTopic.get(t.id)?.amount ?? 0;
+		rows.push(row);
+	}
+	return { columns, headers, rows };
+}
+
+/**
+ * Winners per topic: one row per (topic, winner), empty and cancelled topics included.
+ */
+function winnerLists(room) {
+	const columns = ["topicId", "topic", "capacity", "minCapacity", "cancelled", "playerId", "player", "team", "bid"];
+	const rows = [];
+	const winners = room.lastWinners;
+	for (const t of room.topics) {
+		const pids = winners?.winnersByTopic[t.id] ?? [];
+		const cancelled = !!winners?.cancelledTopics?.some(c => c.topicId === t.id);
+		const base = { topicId: t.id, topic: t.name, capacity: t.capacity, minCapacity: t.minCapacity ?? 0, cancelled };
+		if (!pids.length) rows.push({ ...base, playerId: null, player: null, team: null, bid: null });
+		for (const pid of pids) {
+			rows.push({
+				...base,
+				playerId: pid,
+				player: playerName(room, pid),
+				team: teamName(room, pid),
+				bid: winningBid(room, pid, t.id)
+			});
+		}
+	}
+	return { columns, rows };
+}
+
+export const EXPORTS = {
+	assignments,
+	bids: bidMatrix,
+	winners: winnerLists
+};
+
+/**
+ * Render a report as { contentType, body }. `headers` (optional) relabels
+ * columns in the CSV header row.
+ */
+export function renderExport(report, format) {
+	if (format === "csv") {
+		const header = report.columns.map(c => report.headers?.[c] ?? c);
+		const lines = [header, ...report.rows.map(r => report.columns.map(c => r[c]))];
+		return { contentType: "text/csv; charset=utf-8", body: toCsv(lines) };
+	}
+	return { contentType: "application/json; charset=utf-8", body: JSON.stringify(report.rows, null, 2) };
+}
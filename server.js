@@ -1,485 +1,2647 @@
 import express from "express";
 import http from "http";
 import { WebSocketServer } from "ws";
-import { nanoid } from "nanoid";
+import crypto from "crypto";
+import { customAlphabet, nanoid } from "nanoid";
+import { createFileStorage, createMemoryStorage } from "./storage.js";
+import { ALLOCATION_RULES, DEFAULT_ALLOCATION, DEFAULT_TIE_BREAK, TIE_BREAKS, computeWinners, explainer } from "./allocation.js";
+import { parseCsv } from "./csv.js";
+import { EXPORTS, renderExport, winningBid } from "./reports.js";
+import { RUN_SETTINGS, diffRuns, runSummary } from "./history.js";
 
 const app = express();
 app.use(express.static("public"));
 
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
 
 /**
- * In-memory rooms.
- * For classroom use this is usually fine.
- * If you want persistence/restarts, you’d store rooms in Redis/DB.
+ * Abuse limits, each overridable from the environment. Connections that go
+ * over one get a typed error and are closed with a 4000-range code (see
+ * LIMIT_CLOSE_CODES); oversized frames are closed by ws itself with 1009.
+ * Clients behind one school NAT share an IP, so per-IP limits are generous.
+ * DUPLICATE_NAMES: "suffix" renames a second "Ann" to "Ann (2)", "reject" refuses the join.
+ */
+const LIMITS = {
+	maxFrameBytes: Number(process.env.LIMIT_FRAME_BYTES) || 256 * 1024,
+	messagesPerSec: Number(process.env.LIMIT_MESSAGES_PER_SEC) || 20, // per connection
+	messagesPerSecPerIp: Number(process.env.LIMIT_IP_MESSAGES_PER_SEC) || 400,
+	connectionsPerIp: Number(process.env.LIMIT_CONNECTIONS_PER_IP) || 200,
+	roomsPerIp: Number(process.env.LIMIT_ROOMS_PER_IP) || 20,
+	maxRooms: Number(process.env.LIMIT_ROOMS) || 2000,
+	playersPerRoom: Number(process.env.LIMIT_PLAYERS_PER_ROOM) || 300,
+	duplicateNames: process.env.DUPLICATE_NAMES === "reject" ? "reject" : "suffix"
+};
+
+const LIMIT_CLOSE_CODES = {
+	RATE_LIMITED: 4008,
+	TOO_MANY_CONNECTIONS: 4009,
+	ROOM_LIMIT: 4010,
+	ROOM_FULL: 4011
+};
+
+// How often each limit was hit since start; served at GET /api/limits.
+const limitCounters = { RATE_LIMITED: 0, FRAME_TOO_LARGE: 0, TOO_MANY_CONNECTIONS: 0, ROOM_LIMIT: 0, ROOM_FULL: 0, NAME_TAKEN: 0, NAME_SUFFIXED: 0 };
+
+const ipStats = new Map(); // ip -> { connections, rate: { start, count } }
+
+const wss = new WebSocketServer({ server, maxPayload: LIMITS.maxFrameBytes });
+
+/**
+ * Live rooms, backed by `storage` so a restart doesn't wipe a class.
+ * STORAGE=memory turns persistence off; DATA_DIR picks where files go.
  */
 const rooms = new Map();
 
+const storage = process.env.STORAGE === "memory"
+	? createMemoryStorage()
+	: createFileStorage({ dir: process.env.DATA_DIR || "data" });
+
+/**
+ * How long a disconnected player keeps their seat (bids, host role) before
+ * being removed. Rejoining with the session token within this window resumes.
+ */
+const SESSION_GRACE_MS = Number(process.env.SESSION_GRACE_MS) || 15 * 60 * 1000;
+// Room changes are batched into one update per room this often.
+const PATCH_TICK_MS = Number(process.env.PATCH_TICK_MS) || 50;
+// Provisional standings are recomputed at most this often per room while bidding is open.
+const STANDING_INTERVAL_MS = Number(process.env.STANDING_INTERVAL_MS) || 1000;
+// Computations kept per room for the host's history and diffs; the oldest go first.
+const MAX_RUNS = Number(process.env.MAX_RUNS) || 20;
+
 /**
  * Room state shape:
  * {
  *		id,
- *		hostId,
- *		config: { budget, revealBids, allowJoinAfterLock },
+ *		hostId, // owner; see hasHostRole for co-hosts
+ *		coHostIds: Set(playerId),
+ *		hostKey, // lets the owner take the room back from any device
+ *		passcode: null | { salt, hash },
+ *		bans: [{ id, kind: "name" | "session", value, name }],
+ *		config: {
+ *			budget, revealBids, showBidderCounts, allowJoinAfterLock, allocation, maxAssignmentsPerPlayer,
+ *			tieBreak: "earliest" | "lottery" | "priority",
+ *			tieBreakSeed: "", // fixed lottery seed; empty = drawSeed. Host-only; results carry the seed used.
+ *			priorityOrder: [string], // player names, roster ids or player ids, highest priority first
+ *			overBudget: "reject" | "trim_smallest" | "scale" | "cap_new",
+ *			budgetRules: [{ attr, value, factor, bonus }], // by roster attribute; see playerBudget
+ *			teamsEnabled, maxTeamSize, teamBudget: "pooled" | "per_team", teamCapacity: "teams" | "members"
+ *		},
  *		locked: false,
- *		topics: [{ id, name, capacity }],
- *		players: Map(playerId -> { id, name, spent }),
- *		bids: Map(playerId -> Map(topicId -> { amount, ts }))
+ *		revealed: false, // sealed bids made public (compute_winners / reveal_bids)
+ *		topics: [{ id, name, capacity, minCapacity, maxPerPlayer, description }], // minCapacity 0 = no minimum; maxPerPlayer: slots one player can hold
+ *		players: Map(playerId -> { id, name, spent, budget, token, ws, offlineSince, rosterId, teamId }), // budget: host override or null
+ *		roster: null | [{ id, name, code, attrs }], // when set, only these people can join
+ *		teams: Map(teamId -> { id, name, memberIds, spent }),
+ *		bids: Map(bidderId -> Map(topicId -> { amount, ts })), // bidderId: the team's id for team members, else playerId
+ *		lastWinners: null | { rule, winnersByTopic, teamsByTopic, assignmentByPlayer: { [playerId]: [topicId] }, cancelledTopics },
+ *		lastTrace: null | [step],
+ *		lastExplanations: { [playerId]: { assignedTopicIds, bids, steps } },
+ *		lastRosterReport: null | [{ rosterId, name, playerId, reason }], // roster members left without a topic
+ *		overrides: { pins: [{ playerId, topicId }], forbids: [{ playerId, topicId }] }, // host placements; see setOverride
+ *		runs: [run], // every computation, oldest first; see history.js. lastWinners etc. come from the published one. Saved apart (persistRuns)
+ *		finalized: false, // a run was published: nothing that feeds the result can change until the next round
+ *		drawSeed: null | string, // lottery seed when config has none: drawn at the round's first run and kept, so recomputing can't redraw
+ *		round: 1,
+ *		frozen: Map(playerId -> [{ topicId, round, name, amount, teamId, team }]), // slots won in an earlier round
+ *		rounds: [{ round, winners, closedAt }], // finished rounds, oldest first
+ *		deadline: null | { endsAt, autoCompute, softCloseSec, extensions },
+ *		version: 0, // bumped by every room update sent out; not saved (see broadcastRoomUpdate)
+ *		observers: Map(observerId -> { id, ws, observer: true }) // projector screens: get updates, never bid; not saved
  * }
  */
 
-function getOrCreateRoom(roomId) {
-	let room = rooms.get(roomId);
-	if (!room) {
-		room = {
-			id: roomId,
-			hostId: null,
-			config: {
-				budget: 100,
-				revealBids: true,
-				allowJoinAfterLock: true
-			},
-			locked: false,
-			topics: [],
-			players: new Map(),
-			bids: new Map()
-		};
-		rooms.set(roomId, room);
+function defaultConfig() {
+	return {
+		budget: 100,
+		revealBids: true,
+		showBidderCounts: true,
+		allowJoinAfterLock: true,
+		allocation: DEFAULT_ALLOCATION,
+		maxAssignmentsPerPlayer: 1,
+		tieBreak: DEFAULT_TIE_BREAK,
+		tieBreakSeed: "",
+		priorityOrder: [],
+		overBudget: "trim_smallest",
+		budgetRules: [],
+		teamsEnabled: false,
+		maxTeamSize: 4,
+		teamBudget: "pooled",
+		teamCapacity: "teams"
+	};
+}
+
+/**
+ * Room codes come from the server and are long enough not to be guessed
+ * (no 0/O or 1/I, so they read out loud cleanly).
+ */
+const newRoomCode = customAlphabet("ABCDEFGHJKLMNPQRSTUVWXYZ23456789", 8);
+
+function createRoom() {
+	let roomId = newRoomCode();
+	while (rooms.has(roomId)) roomId = newRoomCode();
+
+	const room = {
+		id: roomId,
+		hostId: null,
+		coHostIds: new Set(),
+		hostKey: nanoid(16),
+		passcode: null,
+		bans: [],
+		config: defaultConfig(),
+		locked: false,
+		revealed: false,
+		topics: [],
+		players: new Map(),
+		roster: null,
+		teams: new Map(),
+		bids: new Map(),
+		lastWinners: null,
+		lastTrace: null,
+		lastExplanations: {},
+		lastRosterReport: null,
+		overrides: { pins: [], forbids: [] },
+		runs: [],
+		finalized: false,
+		drawSeed: null,
+		round: 1,
+		frozen: new Map(),
+		rounds: [],
+		deadline: null,
+		version: 0,
+		createdByIp: null, // not saved; counts toward LIMITS.roomsPerIp
+		observers: new Map()
+	};
+	rooms.set(roomId, room);
+	persistRoom(room);
+	return room;
+}
+
+/**
+ * Optional join passcode, stored salted and hashed. Empty clears it.
+ */
+function setPasscode(room, passcode) {
+	const value = String(passcode ?? "").trim().slice(0, 64);
+	if (!value) {
+		room.passcode = null;
+		return;
+	}
+	const salt = crypto.randomBytes(16).toString("hex");
+	room.passcode = { salt, hash: crypto.scryptSync(value, salt, 32).toString("hex") };
+}
+
+function checkPasscode(room, passcode) {
+	if (!room.passcode) return true;
+	const value = String(passcode ?? "").trim();
+	const hash = crypto.scryptSync(value, room.passcode.salt, 32);
+	return crypto.timingSafeEqual(hash, Buffer.from(room.passcode.hash, "hex"));
+}
+
+/**
+ * Plain JSON form of a room for storage (Maps become entry arrays, sockets are dropped).
+ */
+function serializeRoom(room) {
+	return {
+		id: room.id,
+		hostId: room.hostId,
+		coHostIds: [...room.coHostIds],
+		hostKey: room.hostKey,
+		passcode: room.passcode,
+		bans: room.bans,
+		config: room.config,
+		locked: room.locked,
+		revealed: room.revealed,
+		topics: room.topics,
+		players: [...room.players.values()].map(p => ({
+			id: p.id,
+			name: p.name,
+			token: p.token,
+			rosterId: p.rosterId ?? null,
+			teamId: p.teamId ?? null,
+			budget: p.budget ?? null
+		})),
+		roster: room.roster,
+		teams: [...room.teams.values()].map(t => ({ id: t.id, name: t.name, memberIds: t.memberIds })),
+		bids: [...room.bids.entries()].map(([playerId, perTopic]) => [
+			playerId,
+			[...perTopic.entries()].map(([topicId, b]) => [topicId, { amount: b.amount, ts: b.ts }])
+		]),
+		lastWinners: room.lastWinners,
+		lastTrace: room.lastTrace,
+		lastExplanations: room.lastExplanations,
+		lastRosterReport: room.lastRosterReport,
+		overrides: room.overrides,
+		finalized: room.finalized,
+		drawSeed: room.drawSeed,
+		round: room.round,
+		frozen: [...room.frozen.entries()],
+		rounds: room.rounds,
+		deadline: room.deadline
+	};
+}
+
+/**
+ * Inverse of serializeRoom. Restored players are offline until they resume
+ * their session, and get a fresh grace period from startup.
+ */
+function deserializeRoom(record) {
+	const room = {
+		id: record.id,
+		hostId: record.hostId ?? null,
+		coHostIds: new Set(record.coHostIds ?? []),
+		hostKey: record.hostKey ?? nanoid(16),
+		passcode: record.passcode ?? null,
+		bans: record.bans ?? [],
+		config: { ...defaultConfig(), ...record.config },
+		locked: !!record.locked,
+		revealed: !!record.revealed,
+		topics: record.topics ?? [],
+		players: new Map(),
+		roster: record.roster ?? null,
+		teams: new Map((record.teams ?? []).map(t => [t.id, { ...t, spent: 0 }])),
+		bids: new Map(),
+		lastWinners: normalizeWinners(record.lastWinners ?? null),
+		lastTrace: record.lastTrace ?? null,
+		lastExplanations: record.lastExplanations ?? {},
+		lastRosterReport: record.lastRosterReport ?? null,
+		overrides: { pins: record.overrides?.pins ?? [], forbids: record.overrides?.forbids ?? [] },
+		runs: normalizeRuns(record.runs ?? []), // records saved before runs moved out carry them inline
+		finalized: !!record.finalized,
+		drawSeed: record.drawSeed ?? null,
+		round: record.round ?? 1,
+		// Rooms saved before players could hold several slots stored single values.
+		frozen: new Map((record.frozen ?? []).map(([pid, f]) => [pid, [].concat(f)])),
+		rounds: (record.rounds ?? []).map(r => ({ ...r, winners: normalizeWinners(r.winners) })),
+		deadline: record.deadline ?? null,
+		version: 0,
+		observers: new Map()
+	};
+
+	for (const p of record.players ?? []) {
+		room.players.set(p.id, {
+			id: p.id,
+			name: p.name,
+			spent: 0,
+			token: p.token ?? nanoid(24),
+			ws: null,
+			offlineSince: null,
+			rosterId: p.rosterId ?? null,
+			teamId: p.teamId ?? null,
+			budget: p.budget ?? null
+		});
+	}
+	for (const [bidderId, perTopic] of record.bids ?? []) {
+		room.bids.set(bidderId, new Map(perTopic));
 	}
+	for (const bidderId of room.bids.keys()) recomputeSpent(room, bidderId);
+	for (const playerId of room.players.keys()) markOffline(room, playerId);
+
 	return room;
 }
 
+function normalizeWinners(winners) {
+	if (!winners) return winners;
+	const lists = (byPlayer) => Object.fromEntries(Object.entries(byPlayer ?? {}).map(([pid, t]) => [pid, [].concat(t)]));
+	return {
+		...winners,
+		assignmentByPlayer: lists(winners.assignmentByPlayer),
+		roundAssignmentByPlayer: lists(winners.roundAssignmentByPlayer)
+	};
+}
+
+function normalizeRuns(runs) {
+	return runs.map(r => ({ ...r, winners: normalizeWinners(r.winners) }));
+}
+
+/**
+ * Writes are coalesced: a burst of slider bids becomes one storage write per room.
+ */
+const dirtyRooms = new Set();
+let persistTimer = null;
+
+function persistRoom(room) {
+	dirtyRooms.add(room.id);
+	if (!persistTimer) persistTimer = setTimeout(flushDirtyRooms, 250);
+}
+
+function flushDirtyRooms() {
+	clearTimeout(persistTimer);
+	persistTimer = null;
+
+	for (const roomId of dirtyRooms) {
+		const room = rooms.get(roomId);
+		try {
+			if (room) storage.saveRoom(serializeRoom(room));
+			else storage.deleteRoom(roomId);
+		} catch (err) {
+			console.error(`Failed to persist room ${roomId}:`, err);
+		}
+	}
+	dirtyRooms.clear();
+}
+
+/**
+ * Result history is written on its own, only when a run is added or published.
+ */
+function persistRuns(room) {
+	try {
+		storage.saveRuns(room.id, room.runs);
+	} catch (err) {
+		console.error(`Failed to persist runs of room ${room.id}:`, err);
+	}
+}
+
+/**
+ * Player keeps their seat while offline; removal only happens once the grace period runs out.
+ */
+function markOffline(room, playerId) {
+	const p = room.players.get(playerId);
+	if (!p) return;
+
+	p.ws = null;
+	p.offlineSince = Date.now();
+	clearTimeout(p.graceTimer);
+	p.graceTimer = setTimeout(() => expirePlayer(room, playerId), SESSION_GRACE_MS);
+	p.graceTimer.unref?.();
+}
+
+function expirePlayer(room, playerId) {
+	const p = room.players.get(playerId);
+	if (!p || p.ws) return;
+
+	removePlayer(room, playerId);
+
+	// Clean up empty rooms.
+	if (room.players.size === 0) {
+		clearTimeout(room.deadlineTimer);
+		clearTimeout(room.standingTimer);
+		clearTimeout(room.flushTimer);
+		rooms.delete(room.id);
+	} else {
+		broadcastRoomUpdate(room);
+	}
+	persistRoom(room);
+}
+
+/**
+ * Roles: one owner (room.hostId) plus any number of co-hosts with the same
+ * room permissions. Only the owner hands out or transfers roles, and anyone
+ * presenting the host key can take ownership back.
+ */
+function hasHostRole(room, playerId) {
+	return !!playerId && (room.hostId === playerId || room.coHostIds.has(playerId));
+}
+
+function isOwner(room, playerId) {
+	return !!playerId && room.hostId === playerId;
+}
+
+/**
+ * Drop a player's seat and bids. If they owned the room, a co-host
+ * (connected ones first) takes over; with no co-hosts the room stays
+ * without an owner until someone claims it with the host key.
+ */
+function removePlayer(room, playerId) {
+	leaveTeam(room, playerId);
+	room.players.delete(playerId);
+	room.bids.delete(playerId);
+	room.coHostIds.delete(playerId);
+
+	if (room.hostId === playerId) {
+		const coHosts = [...room.coHostIds].map(id => room.players.get(id)).filter(Boolean);
+		const next = coHosts.find(p => p.ws) ?? coHosts[0] ?? null;
+		room.hostId = next?.id ?? null;
+		if (next) room.coHostIds.delete(next.id);
+	}
+}
+
+function claimHost(room, playerId, hostKey) {
+	if (typeof hostKey !== "string" || hostKey !== room.hostKey) return false;
+	// Whoever held the room without the key goes back to being a player.
+	room.coHostIds.delete(playerId);
+	room.hostId = playerId;
+	return true;
+}
+
+function isBanned(room, name, token) {
+	const key = name.trim().toLowerCase();
+	return room.bans.some(b =>
+		(b.kind === "name" && b.value === key) ||
+		(b.kind === "session" && token && b.value === token)
+	);
+}
+
+function kickPlayer(room, playerId, ban) {
+	const p = room.players.get(playerId);
+	if (!p) return;
+
+	if (ban === "name") room.bans.push({ id: nanoid(6), kind: "name", value: p.name.trim().toLowerCase(), name: p.name });
+	if (ban === "session") room.bans.push({ id: nanoid(6), kind: "session", value: p.token, name: p.name });
+
+	clearTimeout(p.graceTimer);
+	room.frozen.delete(playerId);
+	removePlayer(room, playerId);
+
+	if (p.ws) {
+		wsSend(p.ws, { type: "kicked", message: ban ? "You were removed from this room and can't rejoin." : "You were removed from this room." });
+		p.ws.close();
+	}
+}
+
 function wsSend(ws, msg) {
-	if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+	if (msg && ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
 }
 
+/**
+ * `msg` is either one message for everybody, or a function (player) -> message
+ * when each recipient needs their own payload.
+ */
 function broadcast(room, msg) {
-	for (const p of room.players.values()) {
+	// Queued room changes go out first, so clients see them in order.
+	flushRoomUpdates(room);
+	sendToAll(room, msg);
+}
+
+/**
+ * Players and observers alike; `msg(p)` can tell observers by `p.observer`.
+ */
+function sendToAll(room, msg) {
+	for (const p of [...room.players.values(), ...room.observers.values()]) {
 		if (p.ws && p.ws.readyState === p.ws.OPEN) {
-			wsSend(p.ws, msg);
+			wsSend(p.ws, typeof msg === "function" ? msg(p) : msg);
 		}
 	}
 }
 
-function roomSnapshot(room) {
-	// Only expose what clients need.
-	const players = [...room.players.values()].map(p => ({
+/**
+ * Room updates are versioned and coalesced: changes are queued and sent once
+ * per PATCH_TICK_MS. Frequent, small changes (bids, joins, presence) go out
+ * as patches; anything else queues a full snapshot, which replaces whatever
+ * patches were pending.
+ *
+ * Each flush bumps room.version. A patch message says which version it
+ * applies on top of ({ type: "patch", from, to, patches }); recipients with
+ * nothing visible in a flush get nothing, and their next patch starts from
+ * the last version they were sent (p.sentVersion). A client whose version
+ * doesn't match `from` asks for a `resync` and gets a full snapshot.
+ *
+ * Patches carry absolute values, so applying one on top of a snapshot that
+ * already includes it is harmless.
+ */
+function broadcastRoomUpdate(room) {
+	pendingUpdates(room).full = true;
+	scheduleRoomFlush(room);
+}
+
+/**
+ * Queue patch-sized changes:
+ * { bids: [[bidderId, topicId]], joined: [playerId], players: [playerId], roster: true }.
+ */
+function queuePatch(room, { bids = [], joined = [], players = [], roster = false }) {
+	const pending = pendingUpdates(room);
+	for (const pid of joined) pending.joined.add(pid);
+	for (const [bidderId, topicId] of bids) {
+		if (!pending.bids.has(bidderId)) pending.bids.set(bidderId, new Set());
+		pending.bids.get(bidderId).add(topicId);
+	}
+	for (const pid of players) pending.players.add(pid);
+	if (roster) pending.roster = true;
+	scheduleRoomFlush(room);
+}
+
+function pendingUpdates(room) {
+	room.pending ??= { full: false, bids: new Map(), joined: new Set(), players: new Set(), roster: false };
+	return room.pending;
+}
+
+function scheduleRoomFlush(room) {
+	// Anything worth a room update can move the provisional result too.
+	scheduleStanding(room);
+	if (room.flushTimer) return;
+	room.flushTimer = setTimeout(() => flushRoomUpdates(room), PATCH_TICK_MS);
+	room.flushTimer.unref?.();
+}
+
+function flushRoomUpdates(room) {
+	clearTimeout(room.flushTimer);
+	room.flushTimer = null;
+	const pending = room.pending;
+	if (!pending) return;
+	room.pending = null;
+
+	const from = room.version;
+	room.version++;
+
+	if (pending.full) {
+		sendToAll(room, p => {
+			p.sentVersion = room.version;
+			return { type: "room_update", room: roomSnapshot(room, p.id) };
+		});
+		return;
+	}
+
+	sendToAll(room, p => {
+		const patches = roomPatches(room, pending, p.id);
+		if (!patches.length) return null;
+		const msg = { type: "patch", from: p.sentVersion ?? from, to: room.version, patches };
+		p.sentVersion = room.version;
+		return msg;
+	});
+}
+
+/**
+ * The queued changes as `viewerId` may see them (same rules as roomSnapshot).
+ */
+function roomPatches(room, pending, viewerId) {
+	const patches = [];
+
+	for (const pid of pending.joined) {
+		const p = room.players.get(pid);
+		if (p) patches.push({ op: "player_joined", player: playerView(room, p, viewerId) });
+	}
+	const changed = new Set([...pending.players].filter(pid => !pending.joined.has(pid)));
+
+	for (const [bidderId, topicIds] of pending.bids) {
+		// A changed total gives away a sealed bid (and when it came in), so
+		// viewers who can't see this bidder's amounts don't hear of it at all.
+		if (!canSeeBidsOf(room, viewerId, bidderId)) continue;
+
+		const team = room.teams.get(bidderId);
+		if (team) {
+			patches.push({ op: "team_changed", team: teamView(room, team, viewerId) });
+		}
+		for (const pid of team ? team.memberIds : [bidderId]) {
+			if (!pending.joined.has(pid)) changed.add(pid);
+		}
+
+		for (const topicId of topicIds) {
+			const b = room.bids.get(bidderId)?.get(topicId);
+			patches.push({ op: "bid_changed", bidderId, topicId, bid: b ? { amount: b.amount, ts: b.ts } : null });
+		}
+	}
+
+	for (const pid of changed) {
+		const p = room.players.get(pid);
+		if (p) patches.push({ op: "player_changed", player: playerView(room, p, viewerId) });
+	}
+
+	if (pending.bids.size) {
+		const bidderCounts = bidderCountsFor(room, viewerId);
+		if (bidderCounts) patches.push({ op: "bidder_counts", bidderCounts });
+	}
+
+	if (pending.roster && room.roster && hasHostRole(room, viewerId)) {
+		patches.push({ op: "roster_changed", roster: rosterStatus(room) });
+	}
+
+	return patches;
+}
+
+/**
+ * Whether `viewerId` may see every player's bid amounts.
+ * Host always can; everyone else only when bids are open or have been revealed.
+ */
+function canSeeAllBids(room, viewerId) {
+	return room.config.revealBids || room.revealed || hasHostRole(room, viewerId);
+}
+
+/**
+ * A fixed lottery seed known ahead of the draw would let players work out who wins ties.
+ */
+function visibleConfig(room, isHost) {
+	return isHost ? room.config : { ...room.config, tieBreakSeed: null };
+}
+
+/**
+ * One player as `viewerId` sees them. Individual budgets (which can reflect
+ * accommodations) are only shown to the player themselves, their team and hosts.
+ * Spent is the sum of their bids, so it follows the same rule as the bids.
+ */
+function playerView(room, p, viewerId) {
+	const host = hasHostRole(room, viewerId);
+	const viewerTeamId = room.players.get(viewerId)?.teamId ?? null;
+	const visible = host || p.id === viewerId || (viewerTeamId && p.teamId === viewerTeamId);
+	return {
 		id: p.id,
 		name: p.name,
-		spent: p.spent
-	}));
+		spent: canSeeBidsOf(room, viewerId, bidderOf(room, p.id)) ? p.spent : null,
+		online: !!p.ws,
+		teamId: p.teamId ?? null,
+		budget: visible ? playerBudget(room, p.id) : null,
+		budgetOverride: host ? p.budget ?? null : null
+	};
+}
 
+function teamView(room, t, viewerId) {
+	const viewerTeamId = room.players.get(viewerId)?.teamId ?? null;
+	return {
+		id: t.id,
+		name: t.name,
+		memberIds: t.memberIds,
+		spent: canSeeBidsOf(room, viewerId, t.id) ? t.spent : null,
+		budget: hasHostRole(room, viewerId) || t.id === viewerTeamId ? bidderBudget(room, t.id) : null
+	};
+}
+
+/**
+ * Sealed rooms only send the viewer their own (or their team's) bids until reveal.
+ */
+function canSeeBidsOf(room, viewerId, bidderId) {
+	return canSeeAllBids(room, viewerId) || bidderId === bidderOf(room, viewerId);
+}
+
+/**
+ * Aggregate demand per topic, or null while sealed unless the host allows it.
+ */
+function bidderCountsFor(room, viewerId) {
+	if (!canSeeAllBids(room, viewerId) && !room.config.showBidderCounts) return null;
+	const bidderCounts = {};
+	for (const t of room.topics) bidderCounts[t.id] = 0;
+	for (const perTopic of room.bids.values()) {
+		for (const [topicId, b] of perTopic.entries()) {
+			if (b.amount > 0 && topicId in bidderCounts) bidderCounts[topicId]++;
+		}
+	}
+	return bidderCounts;
+}
+
+function roomSnapshot(room, viewerId) {
+	// Only expose what clients need.
+	const players = [...room.players.values()].map(p => playerView(room, p, viewerId));
+	const teams = [...room.teams.values()].map(t => teamView(room, t, viewerId));
 	const topics = room.topics.map(t => ({ ...t }));
 
-	// Optionally hide per-topic bids until reveal.
+	const sealed = !canSeeAllBids(room, viewerId);
 	let bids = {};
-	for (const [playerId, perTopic] of room.bids.entries()) {
-		bids[playerId] = {};
+	for (const [bidderId, perTopic] of room.bids.entries()) {
+		if (!canSeeBidsOf(room, viewerId, bidderId)) continue;
+		bids[bidderId] = {};
 		for (const [topicId, b] of perTopic.entries()) {
-			bids[playerId][topicId] = { amount: b.amount, ts: b.ts };
+			bids[bidderId][topicId] = { amount: b.amount, ts: b.ts };
 		}
 	}
 
 	return {
 		id: room.id,
+		version: room.version,
 		hostId: room.hostId,
-		config: room.config,
+		coHostIds: [...room.coHostIds],
+		// Only the owner sees the key; host-role viewers see who is banned (never session tokens).
+		hostKey: isOwner(room, viewerId) ? room.hostKey : null,
+		bans: hasHostRole(room, viewerId) ? room.bans.map(b => ({ id: b.id, kind: b.kind, name: b.name })) : [],
+		hasPasscode: !!room.passcode,
+		roster: hasHostRole(room, viewerId) ? rosterStatus(room) : null,
+		rosterOnly: !!room.roster,
+		config: visibleConfig(room, hasHostRole(room, viewerId)),
 		locked: room.locked,
+		finalized: room.finalized,
+		runs: hasHostRole(room, viewerId) ? room.runs.map(runSummary) : null,
+		overrides: hasHostRole(room, viewerId) ? activeOverrides(room) : null,
 		topics,
 		players,
+		teams,
 		bids,
+		bidderCounts: bidderCountsFor(room, viewerId),
+		sealed,
+		revealed: room.revealed,
+		round: room.round,
+		frozen: Object.fromEntries(room.frozen),
+		remaining: Object.fromEntries(room.topics.map(t => [t.id, remainingCapacity(room, t)])),
+		rounds: room.rounds.map(r => ({ round: r.round, assignmentByPlayer: r.winners.assignmentByPlayer })),
+		deadline: room.deadline,
+		serverNow: Date.now(), // lets clients correct their clock for the countdown
 		revealBids: room.config.revealBids
 	};
 }
 
-function recomputeSpent(room, playerId) {
-	const perTopic = room.bids.get(playerId);
+/**
+ * Extra result detail per recipient: their own explanation, and the full trace for the host.
+ */
+function resultDetails(room, viewerId) {
+	const host = hasHostRole(room, viewerId);
+	return {
+		explanation: room.lastExplanations[viewerId] ?? null,
+		trace: host ? room.lastTrace : null,
+		rosterReport: host ? room.lastRosterReport : null
+	};
+}
+
+/**
+ * Roster: when the host uploads one, only listed people can join, each entry
+ * at most once. Entries match by id or name (case-insensitive); an entry with
+ * a personal code also needs that code. Extra CSV columns are kept as `attrs`.
+ */
+function parseRoster(input) {
+	let list;
+	if (typeof input === "string") {
+		if (input.length > 200_000) throw new Error("Roster file is too large.");
+		const rows = parseCsv(input);
+		const header = (rows[0] ?? []).map(h => h.trim().toLowerCase());
+		if (header.includes("name") || header.includes("id")) {
+			list = rows.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, r[i]])));
+		} else {
+			list = rows.map(r => ({ name: r[0], code: r[1] }));
+		}
+	} else if (Array.isArray(input)) {
+		list = input.map(e => (typeof e === "string" ? { name: e } : e ?? {}));
+	} else {
+		throw new Error("Roster must be a CSV file or a list of names.");
+	}
+
+	const roster = [];
+	const seen = new Set();
+	for (const e of list.slice(0, 1000)) {
+		const name = String(e.name ?? e.id ?? "").trim().slice(0, 32);
+		if (!name) continue;
+
+		const id = String(e.id ?? "").trim().slice(0, 64) || nanoid(6);
+		if (seen.has(id.toLowerCase())) continue;
+		seen.add(id.toLowerCase());
+
+		const attrs = {};
+		for (const [k, v] of Object.entries(e)) {
+			if (!["id", "name", "code"].includes(k) && v !== undefined && v !== "") attrs[k] = String(v).slice(0, 64);
+		}
+
+		roster.push({ id, name, code: String(e.code ?? "").trim().slice(0, 32) || null, attrs });
+	}
+	return roster;
+}
+
+/**
+ * Replace (or with null, remove) the roster. Players whose entry disappeared
+ * stay seated but are no longer linked to it.
+ */
+function applyRoster(room, input) {
+	room.roster = input === null || input === undefined ? null : parseRoster(input);
+
+	const ids = new Set((room.roster ?? []).map(e => e.id));
+	for (const p of room.players.values()) {
+		if (p.rosterId && !ids.has(p.rosterId)) p.rosterId = null;
+	}
+
+	// New attributes can change who budget rules apply to.
+	for (const bidderId of room.bids.keys()) {
+		notifyBidChanges(room, bidderId, clampBidsToBudget(room, bidderId), "budget_changed");
+	}
+}
+
+function rosterClaimant(room, rosterId) {
+	return [...room.players.values()].find(p => p.rosterId === rosterId) ?? null;
+}
+
+/**
+ * Which roster entry a joining player is, or an error message.
+ */
+function matchRoster(room, name, code) {
+	const key = name.trim().toLowerCase();
+	const entry = room.roster.find(e => e.id.toLowerCase() === key || e.name.toLowerCase() === key);
+	if (!entry) return { error: "You're not on this room's roster." };
+	if (entry.code && String(code ?? "").trim() !== entry.code) return { error: "Wrong personal code." };
+	if (rosterClaimant(room, entry.id)) return { error: `${entry.name} has already joined.` };
+	return { entry };
+}
+
+/**
+ * Host view of the roster: who hasn't joined, who hasn't bid.
+ */
+function rosterStatus(room) {
+	if (!room.roster) return null;
+	return room.roster.map(e => {
+		const p = rosterClaimant(room, e.id);
+		const bids = p ? room.bids.get(bidderOf(room, p.id)) : null;
+		return {
+			id: e.id,
+			name: e.name,
+			hasCode: !!e.code,
+			playerId: p?.id ?? null,
+			online: !!p?.ws,
+			hasBid: !!bids && [...bids.values()].some(b => b.amount > 0)
+		};
+	});
+}
+
+/**
+ * Roster members without a topic after allocation, and why.
+ */
+function buildRosterReport(room, assigned) {
+	if (!room.roster) return null;
+	const report = [];
+	for (const s of rosterStatus(room)) {
+		if (s.playerId && assigned[s.playerId]?.length) continue;
+		const reason = !s.playerId ? "not_joined" : s.hasBid ? "outbid" : "no_bids";
+		report.push({ rosterId: s.id, name: s.name, playerId: s.playerId, reason });
+	}
+	return report;
+}
+
+/**
+ * Teams: members share one bid map and budget (both keyed by the team id)
+ * and the allocator places the team as a unit. With teamBudget "pooled" the
+ * team gets every member's budget added up; "per_team" gives it one budget.
+ * Teams only form or change while bidding is open, and joining one drops the
+ * player's own bids.
+ */
+function bidderOf(room, playerId) {
+	return room.players.get(playerId)?.teamId ?? playerId;
+}
+
+function bidderBudget(room, bidderId) {
+	const team = room.teams.get(bidderId);
+	if (!team) return playerBudget(room, bidderId);
+	if (room.config.teamBudget === "per_team") return room.config.budget;
+	return team.memberIds.reduce((sum, pid) => sum + playerBudget(room, pid), 0);
+}
+
+/**
+ * A player's effective budget: the host's individual override if there is
+ * one, otherwise the room budget with every matching budget rule applied in
+ * order (budget * factor + bonus). Rules match on the player's roster
+ * attributes, e.g. { attr: "year", value: "senior", bonus: 20 }.
+ */
+function playerBudget(room, playerId) {
+	const p = room.players.get(playerId);
+	if (Number.isFinite(p?.budget)) return p.budget;
+
+	const entry = p?.rosterId ? room.roster?.find(e => e.id === p.rosterId) : null;
+	const attrs = Object.fromEntries(Object.entries(entry?.attrs ?? {}).map(([k, v]) => [k.toLowerCase(), String(v).toLowerCase()]));
+
+	let budget = room.config.budget;
+	for (const rule of room.config.budgetRules) {
+		if (attrs[rule.attr] !== rule.value.toLowerCase()) continue;
+		budget = budget * rule.factor + rule.bonus;
+	}
+	return Math.max(0, Math.min(10000, Math.floor(budget)));
+}
+
+function parseBudgetRules(input) {
+	if (!Array.isArray(input)) return [];
+	return input.slice(0, 20).map(r => ({
+		attr: String(r?.attr ?? "").trim().toLowerCase().slice(0, 64),
+		value: String(r?.value ?? "").trim().slice(0, 64),
+		factor: Math.max(0, Math.min(10, Number(r?.factor ?? 1))) || 0,
+		bonus: Math.max(-10000, Math.min(10000, Math.floor(Number(r?.bonus ?? 0)) || 0))
+	})).filter(r => r.attr);
+}
+
+/**
+ * Host override for one player's budget; null goes back to the room budget and rules.
+ */
+function setPlayerBudget(room, playerId, budget) {
+	const p = room.players.get(playerId);
+	if (!p) throw new Error("Player not found.");
+	p.budget = budget === null || budget === undefined || budget === ""
+		? null
+		: Math.max(0, Math.min(10000, Math.floor(Number(budget)) || 0));
+
+	const bidderId = bidderOf(room, playerId);
+	notifyBidChanges(room, bidderId, clampBidsToBudget(room, bidderId), "budget_changed");
+}
+
+/**
+ * Host overrides: "pin" places a player on a topic whatever they bid, "forbid"
+ * keeps them off it, "none" drops either. One override per player and topic;
+ * pins count against the player's slots and the topic's seats left. How the
+ * allocator uses them: applyOverrides in allocation.js.
+ */
+function setOverride(room, playerId, topicId, kind) {
+	if (!["pin", "forbid", "none"].includes(kind)) throw new Error("Override must be \"pin\", \"forbid\" or \"none\".");
+	const p = room.players.get(playerId);
+	if (!p) throw new Error("Player not found.");
+	const topic = room.topics.find(t => t.id === topicId);
+	if (!topic) throw new Error("Topic not found.");
+
+	const other = (o) => o.playerId !== playerId || o.topicId !== topicId;
+	const pins = room.overrides.pins.filter(other);
+	const forbids = room.overrides.forbids.filter(other);
+
+	if (kind !== "none" && room.frozen.has(playerId)) throw new Error(`${p.name} was assigned in an earlier round.`);
+	if (kind === "pin") {
+		if (pins.filter(o => o.playerId === playerId).length >= room.config.maxAssignmentsPerPlayer) {
+			throw new Error(`${p.name} is already pinned to as many topics as a player can hold.`);
+		}
+		// Seats pinned so far, counting each team once (as the allocator does).
+		const bidderId = bidderOf(room, playerId);
+		const bidders = new Set([...pins.filter(o => o.topicId === topicId).map(o => bidderOf(room, o.playerId)), bidderId]);
+		const seats = [...bidders].reduce((n, id) => n + bidderSeats(room, id), 0);
+		if (seats > remainingCapacity(room, topic)) throw new Error(`${topic.name} doesn't have a seat left for that pin.`);
+		pins.push({ playerId, topicId });
+	}
+	if (kind === "forbid") forbids.push({ playerId, topicId });
+
+	room.overrides = { pins, forbids };
+}
+
+/**
+ * Swap two players' topics in the newest run of this round by pinning each
+ * to the other's (replacing pins they had). Returns that run; the caller
+ * computes a new one with the same seed, so the swap shows up in the history
+ * like any other change and ties elsewhere are drawn the same way.
+ */
+function swapPlayers(room, aId, bId) {
+	const run = room.runs.findLast(r => r.round === room.round);
+	if (!run) throw new Error("Compute winners before swapping.");
+	const a = room.players.get(aId);
+	const b = room.players.get(bId);
+	if (!a || !b) throw new Error("Player not found.");
+	if (a === b) throw new Error("Pick two different players.");
+	if (a.teamId || b.teamId) throw new Error("Team members move with their team; pin the team's topics instead.");
+
+	const aTopics = run.winners.roundAssignmentByPlayer[aId] ?? [];
+	const bTopics = run.winners.roundAssignmentByPlayer[bId] ?? [];
+	// A one-sided swap would only add a pin: the other player keeps their topic too.
+	if (!aTopics.length || !bTopics.length) throw new Error(`${aTopics.length ? b.name : a.name} has no topic to swap.`);
+	if (aTopics.length === bTopics.length && aTopics.every(tid => bTopics.includes(tid))) throw new Error(`${a.name} and ${b.name} already have the same topics.`);
+	const forbidden = (pid, topicIds) => room.overrides.forbids.some(f => f.playerId === pid && topicIds.includes(f.topicId));
+	if (forbidden(aId, bTopics) || forbidden(bId, aTopics)) throw new Error("One of them is forbidden from the other's topic.");
+
+	room.overrides.pins = [
+		...room.overrides.pins.filter(o => o.playerId !== aId && o.playerId !== bId),
+		...bTopics.map(topicId => ({ playerId: aId, topicId })),
+		...aTopics.map(topicId => ({ playerId: bId, topicId }))
+	];
+	return run;
+}
+
+/**
+ * Overrides that apply this round: players still here and not yet
+ * assigned, topics that still have seats.
+ */
+function activeOverrides(room) {
+	const applies = (o) => room.players.has(o.playerId) && !room.frozen.has(o.playerId)
+		&& room.topics.some(t => t.id === o.topicId && remainingCapacity(room, t) > 0);
+	return { pins: room.overrides.pins.filter(applies), forbids: room.overrides.forbids.filter(applies) };
+}
+
+function bidderSeats(room, bidderId) {
+	return room.config.teamCapacity === "members" ? room.teams.get(bidderId)?.memberIds.length || 1 : 1;
+}
+
+function checkTeamChange(room, playerId) {
+	if (!room.config.teamsEnabled) throw new Error("Teams are turned off in this room.");
+	if (room.locked) throw new Error("Teams can't change while bidding is closed.");
+	if (room.frozen.has(playerId)) throw new Error("You already have a topic from an earlier round.");
+}
+
+function createTeam(room, playerId, name) {
+	checkTeamChange(room, playerId);
+	const teamName = String(name ?? "").trim().slice(0, 40);
+	if (!teamName) throw new Error("Team name required.");
+	if ([...room.teams.values()].some(t => t.name.toLowerCase() === teamName.toLowerCase())) {
+		throw new Error("There's already a team with that name.");
+	}
+
+	const team = { id: nanoid(10), name: teamName, memberIds: [], spent: 0 };
+	room.teams.set(team.id, team);
+	room.bids.set(team.id, new Map());
+	addToTeam(room, playerId, team);
+	return team;
+}
+
+function joinTeam(room, playerId, teamId) {
+	checkTeamChange(room, playerId);
+	const team = room.teams.get(teamId);
+	if (!team) throw new Error("Team not found.");
+	if (team.memberIds.includes(playerId)) return;
+	if (team.memberIds.length >= room.config.maxTeamSize) throw new Error("That team is full.");
+	if (team.memberIds.some(pid => room.frozen.has(pid))) throw new Error("That team already has a topic.");
+
+	addToTeam(room, playerId, team);
+}
+
+function addToTeam(room, playerId, team) {
+	leaveTeam(room, playerId);
+	room.bids.delete(playerId);
+
+	team.memberIds.push(playerId);
+	room.players.get(playerId).teamId = team.id;
+	clampBidsToBudget(room, team.id);
+}
+
+/**
+ * Take a player out of their team (no-op if they have none). The last one
+ * out closes the team; otherwise its bids are clamped to the smaller budget.
+ */
+function leaveTeam(room, playerId) {
+	const p = room.players.get(playerId);
+	const team = p?.teamId ? room.teams.get(p.teamId) : null;
+	if (!team) return;
+
+	team.memberIds = team.memberIds.filter(pid => pid !== playerId);
+	p.teamId = null;
+	room.bids.set(playerId, new Map());
+	recomputeSpent(room, playerId);
+
+	if (team.memberIds.length) {
+		notifyBidChanges(room, team.id, clampBidsToBudget(room, team.id), "team_changed");
+	} else {
+		room.teams.delete(team.id);
+		room.bids.delete(team.id);
+	}
+}
+
+/**
+ * Host actions shared by the WebSocket handler and the REST API, so both
+ * validate input the same way. Callers persist and broadcast afterwards.
+ */
+function applyConfig(room, input) {
+	// Checked here rather than by callers, so REST and WebSocket refuse the same
+	// input, and all of it before anything changes.
+	if (!input || typeof input !== "object" || Array.isArray(input)) throw new Error("Config must be an object.");
+	checkFields(MESSAGE_SCHEMAS.set_config.fields, input, "config");
+	const choices = {
+		allocation: Object.keys(ALLOCATION_RULES),
+		overBudget: OVER_BUDGET_POLICIES,
+		tieBreak: Object.keys(TIE_BREAKS),
+		teamBudget: ["pooled", "per_team"],
+		teamCapacity: ["teams", "members"]
+	};
+	for (const [key, allowed] of Object.entries(choices)) {
+		if (input[key] != null && !allowed.includes(input[key])) throw new Error(`Unknown ${key} "${String(input[key]).slice(0, 40)}".`);
+	}
+
+	if (input.budget != null) room.config.budget = Math.max(1, Math.min(10000, Math.floor(input.budget)));
+	if (input.revealBids != null) room.config.revealBids = input.revealBids;
+	if (input.showBidderCounts != null) room.config.showBidderCounts = input.showBidderCounts;
+	if (input.allowJoinAfterLock != null) room.config.allowJoinAfterLock = input.allowJoinAfterLock;
+	if (input.allocation != null) room.config.allocation = input.allocation;
+	if (input.overBudget != null) room.config.overBudget = input.overBudget;
+	if (input.maxAssignmentsPerPlayer != null) {
+		room.config.maxAssignmentsPerPlayer = Math.max(1, Math.min(10, Math.floor(input.maxAssignmentsPerPlayer)));
+	}
+	if (input.tieBreak != null) room.config.tieBreak = input.tieBreak;
+	if (input.tieBreakSeed !== undefined) room.config.tieBreakSeed = String(input.tieBreakSeed ?? "").trim().slice(0, 64);
+	if (input.priorityOrder !== undefined) room.config.priorityOrder = parsePriorityOrder(input.priorityOrder);
+	if (input.budgetRules !== undefined) room.config.budgetRules = parseBudgetRules(input.budgetRules);
+	if (input.maxTeamSize != null) room.config.maxTeamSize = Math.max(2, Math.min(10, Math.floor(input.maxTeamSize)));
+	if (input.teamBudget != null) room.config.teamBudget = input.teamBudget;
+	if (input.teamCapacity != null) room.config.teamCapacity = input.teamCapacity;
+	if (input.teamsEnabled != null) {
+		room.config.teamsEnabled = input.teamsEnabled;
+		// Turning teams off sends everyone back to bidding alone.
+		if (!input.teamsEnabled) {
+			for (const p of room.players.values()) leaveTeam(room, p.id);
+		}
+	}
+
+	// Budget change can invalidate bids; clamp.
+	for (const bidderId of room.bids.keys()) {
+		notifyBidChanges(room, bidderId, clampBidsToBudget(room, bidderId), "budget_changed");
+	}
+}
+
+/**
+ * Priority order from a list or from text with one entry per line.
+ */
+function parsePriorityOrder(input) {
+	const lines = Array.isArray(input) ? input : String(input ?? "").split(/\r?\n/);
+	return lines.map(l => String(l ?? "").trim().slice(0, 80)).filter(Boolean).slice(0, 1000);
+}
+
+function applyTopics(room, topicsInput) {
+	// An empty list clears the topics; anything that isn't a list is a mistake.
+	if (!Array.isArray(topicsInput)) throw new Error("Topics must be a list.");
+	const topicsRaw = topicsInput;
+	if (topicsRaw.some(t => !t || typeof t !== "object" || Array.isArray(t))) throw new Error("Each topic must be an object.");
+	const topics = topicsRaw.slice(0, 50).map(t => {
+		const capacity = Math.max(1, Math.min(20, Math.floor(t.capacity ?? 1) || 1));
+		return {
+			id: String(t.id ?? nanoid(6)),
+			name: String(t.name ?? "Topic").trim().slice(0, 80) || "Topic",
+			capacity,
+			// A minimum above capacity could never be met.
+			minCapacity: Math.max(0, Math.min(capacity, Math.floor(t.minCapacity ?? 0) || 0)),
+			maxPerPlayer: Math.max(1, Math.min(capacity, Math.floor(t.maxPerPlayer ?? 1) || 1)),
+			description: String(t.description ?? "").trim().slice(0, 500)
+		};
+	});
+	// Bids are keyed by topic id; two topics sharing one would both lose them.
+	const seen = new Set();
+	for (const t of topics) {
+		if (seen.has(t.id)) throw new Error(`Topic id "${t.id.slice(0, 40)}" is used more than once.`);
+		seen.add(t.id);
+	}
+	room.topics = topics;
+
+	// Remove bids on deleted topics; players left with no earlier slot go back into the pool.
+	const topicIds = new Set(room.topics.map(t => t.id));
+	for (const [pid, slots] of [...room.frozen.entries()]) {
+		const kept = slots.filter(f => topicIds.has(f.topicId));
+		if (kept.length) room.frozen.set(pid, kept);
+		else room.frozen.delete(pid);
+	}
+	for (const [pid, perTopic] of room.bids.entries()) {
+		for (const tid of [...perTopic.keys()]) {
+			if (!topicIds.has(tid)) perTopic.delete(tid);
+		}
+		recomputeSpent(room, pid);
+		clampBidsToBudget(room, pid);
+	}
+}
+
+/**
+ * Raw topics from an uploaded CSV or JSON file; applyTopics does the validation.
+ * CSV may have a header row (name, capacity, description, optional id,
+ * minCapacity and maxPerPlayer); without one, columns are taken in that order.
+ */
+function parseTopicImport(format, data) {
+	const text = String(data ?? "");
+	if (text.length > 200_000) throw new Error("Import file is too large.");
+
+	if (format === "json") {
+		let parsed;
+		try {
+			parsed = JSON.parse(text);
+		} catch {
+			throw new Error("Import file is not valid JSON.");
+		}
+		const list = Array.isArray(parsed) ? parsed : parsed?.topics;
+		if (!Array.isArray(list)) throw new Error("JSON import must be a list of topics.");
+		checkImportNumbers(list, i => `Topic ${i + 1}`);
+		return list;
+	}
+
+	const rows = parseCsv(text);
+	const header = (rows[0] ?? []).map(h => h.trim().toLowerCase());
+	const hasHeader = header.includes("name");
+	const col = (key, fallback) => (hasHeader ? header.indexOf(key) : fallback);
+	const idx = {
+		id: col("id", -1),
+		name: col("name", 0),
+		capacity: col("capacity", 1),
+		minCapacity: col("mincapacity", -1),
+		maxPerPlayer: col("maxperplayer", -1),
+		description: col("description", 2)
+	};
+
+	// Empty cells fall back to the defaults; anything else has to be a number.
+	const cell = (r, i) => (i >= 0 && r[i]?.trim() ? r[i].trim() : undefined);
+	const list = (hasHeader ? rows.slice(1) : rows).map(r => ({
+		id: cell(r, idx.id),
+		name: r[idx.name],
+		capacity: cell(r, idx.capacity),
+		minCapacity: cell(r, idx.minCapacity),
+		maxPerPlayer: cell(r, idx.maxPerPlayer),
+		description: idx.description >= 0 ? r[idx.description] : undefined
+	}));
+	checkImportNumbers(list, i => `Row ${i + (hasHeader ? 2 : 1)}`);
+	return list;
+}
+
+/**
+ * Refuses an import with numbers that don't parse, naming the rows, rather
+ * than letting applyTopics quietly put in its defaults.
+ */
+function checkImportNumbers(list, rowLabel) {
+	const problems = [];
+	list.forEach((t, i) => {
+		for (const key of ["capacity", "minCapacity", "maxPerPlayer"]) {
+			const value = t?.[key];
+			if (value === undefined || value === null || value === "") continue;
+			if (typeof value === "boolean" || !Number.isFinite(Number(value))) {
+				problems.push(`${rowLabel(i)}: ${key} "${String(value).slice(0, 20)}" is not a number`);
+			}
+		}
+	});
+	if (!problems.length) return;
+	const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : "";
+	throw new Error(`${problems.slice(0, 5).join("; ")}${more}.`);
+}
+
+function setLocked(room, locked) {
+	room.locked = locked;
+	// Bids can change again, so a past reveal no longer covers them.
+	if (!locked) room.revealed = false;
+	// A manual lock/unlock overrides any running countdown.
+	clearDeadline(room);
+}
+
+/**
+ * Bidding deadline. Either `endsAt` (ms timestamp) or `durationSec` from now.
+ * Starting a countdown opens bidding; when it runs out the room locks and,
+ * if asked, results are computed and published.
+ * With `softCloseSec`, a bid in the last N seconds pushes the end out to N seconds from then.
+ */
+function setDeadline(room, input) {
+	const now = Date.now();
+	const endsAt = Number.isFinite(Number(input.endsAt)) && input.endsAt
+		? Math.floor(Number(input.endsAt))
+		: now + Math.max(0, Number(input.durationSec) || 0) * 1000;
+
+	// Between 5 seconds and a day from now.
+	if (endsAt < now + 5000 || endsAt > now + 24 * 60 * 60 * 1000) {
+		throw new Error("Deadline must be between 5 seconds and 24 hours from now.");
+	}
+
+	setLocked(room, false);
+	room.deadline = {
+		endsAt,
+		autoCompute: !!input.autoCompute,
+		softCloseSec: Math.max(0, Math.min(300, Math.floor(Number(input.softCloseSec) || 0))),
+		extensions: 0
+	};
+	armDeadline(room);
+}
+
+function clearDeadline(room) {
+	clearTimeout(room.deadlineTimer);
+	room.deadlineTimer = null;
+	room.deadline = null;
+}
+
+function armDeadline(room) {
+	clearTimeout(room.deadlineTimer);
+	if (!room.deadline) return;
+	room.deadlineTimer = setTimeout(() => expireDeadline(room), Math.max(0, room.deadline.endsAt - Date.now()));
+}
+
+function expireDeadline(room) {
+	const { autoCompute } = room.deadline;
+	room.deadlineTimer = null;
+	room.deadline = null;
+	room.locked = true;
+
+	if (autoCompute) {
+		publishWinners(room);
+	} else {
+		persistRoom(room);
+		broadcastRoomUpdate(room);
+	}
+}
+
+/**
+ * Soft close: returns true if this bid extended the deadline.
+ */
+function extendDeadlineForBid(room) {
+	const d = room.deadline;
+	if (!d || !d.softCloseSec) return false;
+
+	const soonest = Date.now() + d.softCloseSec * 1000;
+	if (d.endsAt >= soonest) return false;
+
+	d.endsAt = soonest;
+	d.extensions++;
+	armDeadline(room);
+	return true;
+}
+
+/**
+ * Compute and publish in one go (a deadline with autoCompute).
+ */
+function publishWinners(room) {
+	publishRun(room, recordRun(room, runAllocation(room)));
+}
+
+/**
+ * Compute a run for the hosts only; players see nothing until one is published.
+ * `seed` redoes an earlier run's lottery (see runAllocation).
+ */
+function previewWinners(room, seed = null) {
+	const run = recordRun(room, runAllocation(room, seed));
+	persistRoom(room); // the first run of a round draws drawSeed
+	persistRuns(room);
+	broadcastRoomUpdate(room); // hosts' history list
+	for (const p of room.players.values()) {
+		if (hasHostRole(room, p.id) && p.ws && p.ws.readyState === p.ws.OPEN) {
+			wsSend(p.ws, { type: "run_preview", run: runView(run, p.id) });
+		}
+	}
+	return run;
+}
+
+/**
+ * A run as a host sees it: the result, the trace and their own explanation.
+ */
+function runView(run, viewerId) {
+	return {
+		...runSummary(run),
+		settings: run.settings,
+		winners: run.winners,
+		trace: run.trace,
+		explanation: runExplanation(run, viewerId),
+		rosterReport: run.rosterReport
+	};
+}
+
+/**
+ * Provisional standing while bidding is open: the current round is allocated
+ * as if it closed now (throttled to STANDING_INTERVAL_MS) and each player
+ * gets only their own line per topic. Hosts also get the full result as a
+ * private preview. Nothing is stored or revealed; the lottery uses a seed of
+ * its own, so provisional ties say nothing about the final draw.
+ */
+function scheduleStanding(room) {
+	if (room.standingTimer || room.locked || !room.topics.length) return;
+	room.standingTimer = setTimeout(() => {
+		room.standingTimer = null;
+		if (rooms.get(room.id) === room && !room.locked) sendStanding(room);
+	}, STANDING_INTERVAL_MS);
+	room.standingTimer.unref?.();
+}
+
+function sendStanding(room) {
+	const view = roundView(room);
+	room.standingSeed ??= crypto.randomBytes(8).toString("hex");
+	const result = computeWinners(view, { seed: room.standingSeed });
+
+	const preview = {
+		rule: result.rule,
+		winnersByTopic: result.winnersByTopic,
+		teamsByTopic: result.teamsByTopic,
+		assignmentByPlayer: result.assignmentByPlayer,
+		cancelledTopics: result.cancelledTopics
+	};
+
+	// Ranked once per tick; each player's line is then a pass over the topics.
+	const explain = explainer(view, result);
+	const bestOutside = bestBidsOutside(view, result);
+
+	broadcast(room, p => ({
+		type: "standing",
+		standing: p.observer || room.frozen.has(p.id) ? null : standingFor(room, explain(p.id), bestOutside, p.id),
+		preview: hasHostRole(room, p.id) ? preview : null
+	}));
+}
+
+/**
+ * One player's provisional line per topic they (or their team) bid on:
+ * - inside: whether they'd win a slot there right now.
+ * - outbid: outside because the winning bids there are at least as high
+ *   (otherwise they'd lose it to their own better-placed bids, or the draw).
+ * - margin: points above the best bid left outside (when inside), or
+ *   their bid minus the lowest winning one (when outside; negative = short).
+ *   Margins come from other people's bids, so they're left out while sealed.
+ */
+function standingFor(room, explanation, bestOutside, playerId) {
+	const showMargins = canSeeAllBids(room, playerId);
+
+	return explanation.bids.map(b => {
+		let margin = null;
+		if (showMargins && b.won) {
+			margin = b.amount - (bestOutside.get(b.topicId) ?? 0);
+		} else if (showMargins && b.lowestWinningBid !== null) {
+			margin = b.amount - b.lowestWinningBid;
+		}
+		const outbid = !b.won && b.lowestWinningBid !== null && b.amount <= b.lowestWinningBid;
+		return { topicId: b.topicId, amount: b.amount, inside: b.won, outbid, margin, cancelled: b.cancelled };
+	});
+}
+
+/**
+ * Map(topicId -> highest bid there that isn't winning right now).
+ */
+function bestBidsOutside(view, result) {
+	const best = new Map();
+	for (const t of view.topics) {
+		const winners = new Set([...(result.winnersByTopic[t.id] ?? []), ...(result.teamsByTopic[t.id] ?? [])]);
+		let top = 0;
+		for (const [bidderId, perTopic] of view.bids.entries()) {
+			const amount = perTopic.get(t.id)?.amount ?? 0;
+			if (!winners.has(bidderId) && amount > top) top = amount;
+		}
+		best.set(t.id, top);
+	}
+	return best;
+}
+
+/**
+ * Seats a topic still has after earlier rounds.
+ */
+function remainingCapacity(room, topic) {
+	let taken = 0;
+	for (const slots of room.frozen.values()) {
+		for (const f of slots) if (f.topicId === topic.id) taken++;
+	}
+	return Math.max(0, topic.capacity - taken);
+}
+
+/**
+ * The current round as the allocator should see it: only topics with seats
+ * left (at their remaining capacity, with earlier rounds' winners counting
+ * toward the minimum) and only players (or teams) not yet assigned.
+ */
+function roundView(room) {
+	const topics = room.topics
+		.map(t => {
+			const capacity = remainingCapacity(room, t);
+			return { ...t, capacity, minCapacity: Math.max(0, (t.minCapacity ?? 0) - (t.capacity - capacity)) };
+		})
+		.filter(t => t.capacity > 0);
+	const assigned = (bidderId) => (room.teams.get(bidderId)?.memberIds ?? [bidderId]).some(pid => room.frozen.has(pid));
+	const bids = new Map([...room.bids.entries()].filter(([bidderId]) => !assigned(bidderId)));
+	return { ...room, topics, bids, overrides: activeOverrides(room) };
+}
+
+/**
+ * Allocate the current round and merge it with earlier rounds, so
+ * winnersByTopic/assignmentByPlayer always describe the combined final result.
+ * Returns a run record (see history.js); nothing in the room changes until
+ * it is recorded and published, except that it may draw the round's drawSeed.
+ */
+function runAllocation(room, rerunSeed = null) {
+	const view = roundView(room);
+	// Published with the result, so anyone can redo the lottery. Without a
+	// fixed seed the round's first run draws one and later runs reuse it.
+	const seed = rerunSeed ?? (room.config.tieBreakSeed || (room.drawSeed ??= crypto.randomBytes(8).toString("hex")));
+	const result = computeWinners(view, { trace: true, seed });
+
+	// Explanations are taken now, against the bids this result was computed from.
+	// Their trace steps are left out (runExplanation picks them from `trace` again).
+	const explain = explainer(view, result);
+	const explanations = {};
+	for (const pid of room.players.keys()) {
+		if (room.frozen.has(pid)) continue;
+		const { steps, ...explanation } = explain(pid);
+		explanations[pid] = { ...explanation, bidderId: bidderOf(room, pid) };
+	}
+
+	const winnersByTopic = {};
+	const teamsByTopic = {};
+	const assignmentByPlayer = {};
+	for (const t of room.topics) {
+		winnersByTopic[t.id] = [];
+		teamsByTopic[t.id] = [];
+	}
+	for (const [pid, slots] of room.frozen.entries()) {
+		for (const f of slots) {
+			if (!winnersByTopic[f.topicId]) continue;
+			winnersByTopic[f.topicId].push(pid);
+			(assignmentByPlayer[pid] ??= []).push(f.topicId);
+			if (f.teamId && !teamsByTopic[f.topicId].includes(f.teamId)) teamsByTopic[f.topicId].push(f.teamId);
+		}
+	}
+	for (const [tid, pids] of Object.entries(result.winnersByTopic)) {
+		winnersByTopic[tid].push(...pids);
+		teamsByTopic[tid].push(...result.teamsByTopic[tid]);
+	}
+	Object.assign(assignmentByPlayer, result.assignmentByPlayer);
+
+	const winners = {
+		rule: result.rule,
+		tieBreak: result.tieBreak,
+		round: room.round,
+		winnersByTopic,
+		teamsByTopic,
+		assignmentByPlayer,
+		roundAssignmentByPlayer: result.assignmentByPlayer,
+		cancelledTopics: result.cancelledTopics,
+		overrides: result.overrides
+	};
+
+	const names = {};
+	for (const [pid, slots] of room.frozen.entries()) names[pid] = slots[0].name;
+	for (const p of room.players.values()) names[p.id] = p.name;
+	for (const t of room.teams.values()) names[t.id] = t.name;
+
+	return {
+		id: nanoid(8),
+		at: Date.now(),
+		round: room.round,
+		settings: { ...Object.fromEntries(RUN_SETTINGS.map(k => [k, room.config[k]])), seed, overrides: result.overrides },
+		topics: room.topics.map(t => ({ id: t.id, name: t.name, capacity: t.capacity, minCapacity: t.minCapacity, maxPerPlayer: t.maxPerPlayer })),
+		bids: Object.fromEntries([...room.bids.entries()].map(([bidderId, perTopic]) => [
+			bidderId,
+			Object.fromEntries([...perTopic.entries()].map(([tid, b]) => [tid, b.amount]))
+		])),
+		names,
+		winners,
+		trace: result.trace,
+		explanations,
+		rosterReport: buildRosterReport(room, assignmentByPlayer),
+		published: false
+	};
+}
+
+/**
+ * Keep a run in the room's history (the newest MAX_RUNS of them). Callers
+ * persist the history once they're done with it.
+ */
+function recordRun(room, run) {
+	room.runs.push(run);
+	if (room.runs.length > MAX_RUNS) room.runs.splice(0, room.runs.length - MAX_RUNS);
+	return run;
+}
+
+/**
+ * One player's explanation from a run, with their trace steps put back.
+ */
+function runExplanation(run, playerId) {
+	const e = run.explanations[playerId];
+	if (!e) return null;
+	const { bidderId, ...explanation } = e;
+	const steps = (run.trace ?? []).filter(step => step.playerId === bidderId || step.playerIds?.includes(bidderId));
+	return { ...explanation, steps };
+}
+
+/**
+ * Make a run the room's result: everyone gets it (with their own explanation)
+ * and the room is finalized, i.e. frozen until the next round starts.
+ */
+function publishRun(room, run) {
+	for (const r of room.runs) r.published = r === run;
+	room.lastWinners = run.winners;
+	room.lastTrace = run.trace;
+	room.lastExplanations = Object.fromEntries(Object.keys(run.explanations).map(pid => [pid, runExplanation(run, pid)]));
+	room.lastRosterReport = run.rosterReport;
+	room.revealed = true;
+	room.locked = true;
+	room.finalized = true;
+	clearDeadline(room);
+
+	persistRoom(room);
+	persistRuns(room);
+	broadcastRoomUpdate(room);
+	broadcast(room, p => ({ type: "winners", winners: room.lastWinners, ...resultDetails(room, p.id) }));
+}
+
+/**
+ * Close the current round: freeze everyone it assigned, refund everyone
+ * else (their bids are cleared) and reopen bidding on topics with seats left.
+ * Anyone who won at least one slot is done, even if they could hold more.
+ */
+function startNextRound(room) {
+	const winners = room.lastWinners;
+	room.rounds.push({ round: room.round, winners, closedAt: Date.now() });
+
+	for (const [pid, topicIds] of Object.entries(winners.roundAssignmentByPlayer)) {
+		const p = room.players.get(pid);
+		const team = p?.teamId ? room.teams.get(p.teamId) : null;
+		room.frozen.set(pid, topicIds.map(tid => ({
+			topicId: tid,
+			round: room.round,
+			name: p?.name ?? pid,
+			amount: winningBid(room, pid, tid),
+			teamId: team?.id ?? null,
+			team: team?.name ?? null
+		})));
+	}
+
+	for (const bidderId of room.bids.keys()) {
+		room.bids.set(bidderId, new Map());
+		recomputeSpent(room, bidderId);
+	}
+
+	room.round++;
+	room.finalized = false;
+	room.drawSeed = null;
+	// Pinned players now hold their topics for good; forbids carry over.
+	room.overrides.pins = [];
+	setLocked(room, false);
+	room.lastWinners = null;
+	room.lastTrace = null;
+	room.lastExplanations = {};
+	room.lastRosterReport = null;
+}
+
+/**
+ * Spent is tracked per bidder; every member of a team shows the team's total.
+ */
+function recomputeSpent(room, bidderId) {
+	const perTopic = room.bids.get(bidderId);
 	let spent = 0;
 	if (perTopic) {
 		for (const b of perTopic.values()) spent += b.amount;
 	}
-	const player = room.players.get(playerId);
-	if (player) player.spent = spent;
+
+	const team = room.teams.get(bidderId);
+	if (team) team.spent = spent;
+	for (const pid of team ? team.memberIds : [bidderId]) {
+		const player = room.players.get(pid);
+		if (player) player.spent = spent;
+	}
 	return spent;
 }
 
 /**
- * Allocation rule:
- * - Each topic has capacity N.
- * - “Tentative winners” per topic are highest bids.
- * - If a player is a winner in multiple topics, they keep ONLY the topic they bid highest on.
- * - Vacated slots get filled by next highest bidders (who aren’t already assigned elsewhere).
+ * WebSocket protocol.
+ *
+ * Every client message is { type, id, ...fields }: `id` is the client's own
+ * request id (string or number), echoed back in exactly one reply:
+ * { type: "ack", id } or { type: "error", id, code, message }. `join` and
+ * `create_room` also carry `protocol`, which has to be PROTOCOL_VERSION.
  *
- * This implements what you described in a deterministic way.
+ * MESSAGE_SCHEMAS lists every message type with the role it needs and its
+ * fields ("type" or "type?" for optional; optional fields may also be null).
+ * Unknown types and fields are refused. `final: false` marks messages that
+ * change what results are computed from; they are refused while the room is
+ * finalized. `get_run` and `diff_runs` send their answer (a `run` or
+ * `run_diff` message) ahead of the ack.
+ *
+ * Error codes: BAD_JSON, BAD_REQUEST, UNKNOWN_TYPE, PROTOCOL_VERSION,
+ * NOT_JOINED, NOT_HOST, NOT_OWNER, ROOM_NOT_FOUND, ROOM_LOCKED, BANNED,
+ * BAD_PASSCODE, NOT_ON_ROSTER, BAD_HOST_KEY, UNKNOWN_TOPIC, TOPIC_FULL,
+ * ALREADY_ASSIGNED, OVER_BUDGET, UNKNOWN_PLAYER, NO_RESULTS, NAME_TAKEN, OBSERVER,
+ * FINALIZED, UNKNOWN_RUN,
+ * INVALID (anything else a well-formed request can be refused for) and
+ * INTERNAL; plus the limit codes in LIMIT_CLOSE_CODES, which also close the
+ * connection.
  */
-function computeWinners(room) {
-	const topics = room.topics;
-	const budget = room.config.budget;
+const PROTOCOL_VERSION = 1;
+
+const MESSAGE_SCHEMAS = {
+	create_room: { handshake: true, fields: { name: "string?", passcode: "string?" } },
+	join: {
+		handshake: true,
+		fields: {
+			roomId: "string", role: "string?", name: "string?", passcode: "string?", rosterCode: "string?", token: "string?", hostKey: "string?"
+		}
+	},
+	resync: { fields: {} },
+	bid: { final: false, fields: { topicId: "string", amount: "number" } },
+	create_team: { final: false, fields: { name: "string?" } },
+	join_team: { final: false, fields: { teamId: "string" } },
+	leave_team: { final: false, fields: {} },
+	claim_host: { fields: { hostKey: "string" } },
+	set_config: {
+		role: "host",
+		final: false,
+		fields: {
+			budget: "number?", revealBids: "boolean?", showBidderCounts: "boolean?", allowJoinAfterLock: "boolean?",
+			allocation: "string?", maxAssignmentsPerPlayer: "number?", tieBreak: "string?", tieBreakSeed: "string?",
+			priorityOrder: "any?", overBudget: "string?", budgetRules: "any?",
+			teamsEnabled: "boolean?", maxTeamSize: "number?", teamBudget: "string?", teamCapacity: "string?"
+		}
+	},
+	set_topics: { role: "host", final: false, fields: { topics: "array" } },
+	import_topics: { role: "host", final: false, fields: { format: "string", data: "string" } },
+	lock_bids: { role: "host", final: false, fields: {} },
+	unlock_bids: { role: "host", final: false, fields: {} },
+	set_deadline: { role: "host", final: false, fields: { endsAt: "number?", durationSec: "number?", softCloseSec: "number?", autoCompute: "boolean?" } },
+	clear_deadline: { role: "host", fields: {} },
+	compute_winners: { role: "host", final: false, fields: {} },
+	publish_results: { role: "host", final: false, fields: { runId: "string?" } },
+	get_run: { role: "host", fields: { runId: "string" } },
+	diff_runs: { role: "host", fields: { fromId: "string", toId: "string" } },
+	next_round: { role: "host", fields: {} },
+	reveal_bids: { role: "host", fields: {} },
+	set_passcode: { role: "host", fields: { passcode: "string?" } },
+	set_player_budget: { role: "host", final: false, fields: { playerId: "string", budget: "number?" } },
+	set_override: { role: "host", final: false, fields: { playerId: "string", topicId: "string", kind: "string" } },
+	swap_players: { role: "host", final: false, fields: { playerA: "string", playerB: "string" } },
+	set_roster: { role: "host", final: false, fields: { roster: "any?" } },
+	kick_player: { role: "host", fields: { playerId: "string", ban: "string?" } },
+	unban: { role: "host", fields: { banId: "string" } },
+	transfer_host: { role: "owner", fields: { playerId: "string" } },
+	set_cohost: { role: "owner", fields: { playerId: "string", coHost: "boolean" } }
+};
+
+class ProtocolError extends Error {
+	/** `closeCode` set: the connection is closed after the error goes out. */
+	constructor(code, message, closeCode = null) {
+		super(message);
+		this.code = code;
+		this.closeCode = closeCode;
+	}
+}
 
-	// Build sorted bid lists per topic.
-	const bidLists = new Map(); // topicId -> [{ playerId, amount, ts }]
-	for (const t of topics) {
-		const list = [];
-		for (const [playerId, perTopic] of room.bids.entries()) {
-			const b = perTopic.get(t.id);
-			if (!b) continue;
-			const amount = Math.max(0, Math.floor(b.amount));
-			if (amount <= 0) continue;
+function limitError(code, message) {
+	limitCounters[code]++;
+	return new ProtocolError(code, message, LIMIT_CLOSE_CODES[code]);
+}
 
-			// (Server already enforces budget by total, but keep this safe.)
-			list.push({ playerId, amount, ts: b.ts ?? Date.now() });
-		}
+/**
+ * Counts one message in a one-second window; true once the window is over `max`.
+ */
+function overRate(rate, max) {
+	const now = Date.now();
+	if (now - rate.start >= 1000) {
+		rate.start = now;
+		rate.count = 0;
+	}
+	return ++rate.count > max;
+}
 
-		list.sort((a, b) => {
-			if (b.amount !== a.amount) return b.amount - a.amount; // higher first
-			if (a.ts !== b.ts) return a.ts - b.ts; // earlier first
-			return a.playerId.localeCompare(b.playerId);
-		});
+function clientIp(req) {
+	// Only trust the proxy's header when told there is one.
+	const forwarded = process.env.TRUST_PROXY ? String(req.headers["x-forwarded-for"] ?? "").split(",")[0].trim() : "";
+	return forwarded || req.socket.remoteAddress || "unknown";
+}
+
+/**
+ * A name nobody in the room is using yet (case-insensitive), per LIMITS.duplicateNames.
+ */
+function uniqueName(room, name) {
+	const taken = new Set([...room.players.values()].map(p => p.name.toLowerCase()));
+	if (!taken.has(name.toLowerCase())) return name;
 
-		bidLists.set(t.id, list);
+	if (LIMITS.duplicateNames === "reject") {
+		limitCounters.NAME_TAKEN++;
+		throw new ProtocolError("NAME_TAKEN", `Someone in this room is already called ${name}. Pick another name.`);
 	}
+	limitCounters.NAME_SUFFIXED++;
+	let n = 2;
+	while (taken.has(`${name} (${n})`.toLowerCase())) n++;
+	return `${name} (${n})`;
+}
 
-	// Track assignment.
-	const assignedTopicByPlayer = new Map(); // playerId -> topicId
-	const assignedBidByPlayer = new Map(); // playerId -> amount
-	const winnersByTopic = new Map(); // topicId -> Set(playerId)
-	const nextIndex = new Map(); // topicId -> pointer in bid list
+function requestId(msg) {
+	const id = msg?.id;
+	return (typeof id === "string" && id.length <= 64) || Number.isFinite(id) ? id : null;
+}
 
-	for (const t of topics) {
-		winnersByTopic.set(t.id, new Set());
-		nextIndex.set(t.id, 0);
+function validateMessage(msg) {
+	if (!msg || typeof msg !== "object" || Array.isArray(msg)) throw new ProtocolError("BAD_REQUEST", "Message must be a JSON object.");
+	if (requestId(msg) === null) throw new ProtocolError("BAD_REQUEST", "Every message needs an id.");
+
+	const schema = Object.hasOwn(MESSAGE_SCHEMAS, msg.type) ? MESSAGE_SCHEMAS[msg.type] : null;
+	if (!schema) throw new ProtocolError("UNKNOWN_TYPE", `Unknown message type: ${String(msg.type).slice(0, 40)}.`);
+
+	if (schema.handshake && msg.protocol !== PROTOCOL_VERSION) {
+		throw new ProtocolError("PROTOCOL_VERSION", `This page is out of date (protocol ${msg.protocol ?? "none"}, server ${PROTOCOL_VERSION}). Reload it.`);
 	}
 
-	function tryFillTopic(topic) {
-		const winners = winnersByTopic.get(topic.id);
-		const list = bidLists.get(topic.id) ?? [];
-		let idx = nextIndex.get(topic.id) ?? 0;
+	for (const key of Object.keys(msg)) {
+		if (key === "type" || key === "id" || (key === "protocol" && schema.handshake)) continue;
+		if (!Object.hasOwn(schema.fields, key)) throw new ProtocolError("BAD_REQUEST", `Unexpected field "${key}" in ${msg.type}.`);
+	}
 
-		while (winners.size < topic.capacity && idx < list.length) {
-			const cand = list[idx++];
-			const alreadyAssigned = assignedTopicByPlayer.has(cand.playerId);
+	try {
+		checkFields(schema.fields, msg, msg.type);
+	} catch (err) {
+		throw new ProtocolError("BAD_REQUEST", err.message);
+	}
+}
 
-			if (!alreadyAssigned) {
-				winners.add(cand.playerId);
-				assignedTopicByPlayer.set(cand.playerId, topic.id);
-				assignedBidByPlayer.set(cand.playerId, cand.amount);
-			} else {
-				// They’re assigned elsewhere; skip for now.
-			}
+/**
+ * Type check against a schema's `fields` (see MESSAGE_SCHEMAS). Also used for
+ * REST bodies that carry the same input as a message (applyConfig).
+ */
+function checkFields(fields, input, what) {
+	for (const [key, spec] of Object.entries(fields)) {
+		const optional = spec.endsWith("?");
+		const kind = spec.replace("?", "");
+		const value = input[key];
+		if (value === undefined || value === null) {
+			if (optional) continue;
+			throw new Error(`Missing field "${key}" in ${what}.`);
 		}
+		const ok = kind === "any"
+			|| (kind === "array" && Array.isArray(value))
+			|| (kind === "number" && Number.isFinite(value))
+			|| (kind !== "array" && kind !== "number" && typeof value === kind);
+		if (!ok) throw new Error(`Field "${key}" in ${what} must be a ${kind}.`);
+	}
+}
 
-		nextIndex.set(topic.id, idx);
+wss.on("connection", (ws, req) => {
+	let playerId = null;
+	let observerId = null; // set instead of playerId for a join with role "observer"
+	let room = null;
+	let closing = false;
+
+	const ip = clientIp(req);
+	if (!ipStats.has(ip)) ipStats.set(ip, { connections: 0, rate: { start: 0, count: 0 } });
+	const stats = ipStats.get(ip);
+	stats.connections++;
+	const rate = { start: 0, count: 0 };
+
+	function refuse(err, id = null) {
+		wsSend(ws, { type: "error", id, code: err.code, message: err.message });
+		closing = true;
+		ws.close(err.closeCode, err.code);
 	}
 
-	// First pass: fill each topic up to capacity without considering multi-wins (we avoided multi-wins by skipping already assigned).
-	// But this doesn’t match your “they could win multiple, then keep highest” rule.
-	// So we instead do a two-stage:
-	// 1) Tentatively take top N per topic ignoring duplicates.
-	// 2) Resolve duplicates by keeping highest per player, then refill vacancies, repeat.
+	if (stats.connections > LIMITS.connectionsPerIp) {
+		refuse(limitError("TOO_MANY_CONNECTIONS", "Too many connections from your network. Try again later."));
+	}
 
-	// Step 1: Tentative winners per topic (allow duplicates across topics).
-	for (const t of topics) {
-		const list = bidLists.get(t.id) ?? [];
-		const winners = winnersByTopic.get(t.id);
-		for (let i = 0; i < Math.min(t.capacity, list.length); i++) {
-			winners.add(list[i].playerId);
-		}
-		nextIndex.set(t.id, Math.min(t.capacity, list.length));
+	ws.on("error", (err) => {
+		// ws closes oversized frames with 1009 by itself; just count them.
+		if (err.code === "WS_ERR_UNSUPPORTED_MESSAGE_LENGTH") limitCounters.FRAME_TOO_LARGE++;
+	});
+
+	// Sent once this socket holds a seat in `room`.
+	function welcome(resumed) {
+		const bidderId = bidderOf(room, playerId);
+		if (!room.bids.has(bidderId)) room.bids.set(bidderId, new Map());
+
+		recomputeSpent(room, bidderId);
+		persistRoom(room);
+
+		const me = room.players.get(playerId);
+		me.sentVersion = room.version;
+		wsSend(ws, {
+			type: "joined",
+			protocol: PROTOCOL_VERSION,
+			playerId,
+			token: me.token,
+			resumed,
+			room: roomSnapshot(room, playerId),
+			winners: room.lastWinners,
+			...resultDetails(room, playerId)
+		});
+		if (resumed) queuePatch(room, { players: [playerId] });
+		else queuePatch(room, { joined: [playerId], roster: !!me.rosterId });
 	}
 
-	// Helper: build player -> topics they are currently winning, with amounts.
-	function buildPlayerWins() {
-		const playerWins = new Map(); // playerId -> [{ topicId, amount, ts }]
-		for (const t of topics) {
-			const list = bidLists.get(t.id) ?? [];
-			const winners = winnersByTopic.get(t.id);
+	ws.on("message", (raw) => {
+		if (closing) return;
+		if (overRate(rate, LIMITS.messagesPerSec) || overRate(stats.rate, LIMITS.messagesPerSecPerIp)) {
+			refuse(limitError("RATE_LIMITED", "Too many messages too quickly. Rejoin in a moment."));
+			return;
+		}
+
+		let msg;
+		try {
+			msg = JSON.parse(raw.toString());
+		} catch {
+			wsSend(ws, { type: "error", id: null, code: "BAD_JSON", message: "Message is not valid JSON." });
+			return;
+		}
 
-			// Make a quick lookup for amount/ts by player for this topic from list.
-			const byPlayer = new Map();
-			for (const b of list) {
-				if (!byPlayer.has(b.playerId)) byPlayer.set(b.playerId, b);
+		const id = requestId(msg);
+		try {
+			validateMessage(msg);
+			handle(msg);
+			wsSend(ws, { type: "ack", id });
+		} catch (err) {
+			if (!(err instanceof ProtocolError)) console.error(err);
+			if (err.closeCode) {
+				refuse(err, id);
+				return;
 			}
+			const { code, message } = err instanceof ProtocolError ? err : { code: "INTERNAL", message: "Something went wrong on the server." };
+			wsSend(ws, { type: "error", id, code, message });
+		}
+	});
 
-			for (const playerId of winners) {
-				const b = byPlayer.get(playerId);
-				if (!b) continue;
-				if (!playerWins.has(playerId)) playerWins.set(playerId, []);
-				playerWins.get(playerId).push({ topicId: t.id, amount: b.amount, ts: b.ts });
+	/**
+	 * One validated request. Throws ProtocolError to refuse it.
+	 */
+	function handle(msg) {
+		if (msg.type === "create_room") {
+			if (observerId) throw new ProtocolError("OBSERVER", "This connection is already watching a room.");
+			const name = String(msg.name ?? "Player").trim().slice(0, 32) || "Player";
+			if (rooms.size >= LIMITS.maxRooms) throw limitError("ROOM_LIMIT", "The server has as many rooms as it can hold. Try again later.");
+			if ([...rooms.values()].filter(r => r.createdByIp === ip).length >= LIMITS.roomsPerIp) {
+				throw limitError("ROOM_LIMIT", "Too many rooms were created from your network. Close some first.");
 			}
+
+			const created = createRoom();
+			created.createdByIp = ip;
+			setPasscode(created, msg.passcode);
+
+			playerId = nanoid(8);
+			created.players.set(playerId, { id: playerId, name, spent: 0, budget: null, token: nanoid(24), ws, offlineSince: null });
+			created.hostId = playerId;
+
+			room = created;
+			welcome(false);
+			return;
 		}
-		return playerWins;
-	}
 
-	// Step 2: Resolve duplicates iteratively and refill vacancies.
-	let changed = true;
-	let safety = 0;
+		if (msg.type === "join") {
+			if (observerId) throw new ProtocolError("OBSERVER", "This connection is already watching a room.");
+			const roomId = String(msg.roomId ?? "").trim().toUpperCase();
+			const name = String(msg.name ?? "Player").trim().slice(0, 32) || "Player";
+
+			if (!roomId) throw new ProtocolError("BAD_REQUEST", "Room code required.");
 
-	while (changed && safety++ < 1000) {
-		changed = false;
+			// Joining never creates a room, so a typo can't open an empty one.
+			const target = rooms.get(roomId);
+			if (!target) throw new ProtocolError("ROOM_NOT_FOUND", "Room not found. Check the code, or create a new room.");
 
-		// Decide final assignment for each player who is currently winning 2+ topics.
-		const playerWins = buildPlayerWins();
-		const keepByPlayer = new Map();
+			if (msg.role === "observer") {
+				if (msg.hostKey !== target.hostKey && !checkPasscode(target, msg.passcode)) {
+					throw new ProtocolError("BAD_PASSCODE", msg.passcode ? "Wrong passcode." : "This room needs a passcode.");
+				}
+				observerId = nanoid(8);
+				room = target;
+				room.observers.set(observerId, { id: observerId, ws, observer: true, sentVersion: room.version });
+				wsSend(ws, {
+					type: "joined",
+					protocol: PROTOCOL_VERSION,
+					playerId: null,
+					observer: true,
+					room: roomSnapshot(room, observerId),
+					winners: room.lastWinners
+				});
+				return;
+			}
+			if (msg.role !== undefined && msg.role !== null && msg.role !== "player") {
+				throw new ProtocolError("BAD_REQUEST", "Role must be \"player\" or \"observer\".");
+			}
 
-		for (const [playerId, wins] of playerWins.entries()) {
-			if (wins.length <= 1) continue;
+			// Resume an existing seat if the token matches one.
+			const token = typeof msg.token === "string" ? msg.token : "";
+			const resumed = token ? [...target.players.values()].find(p => p.token === token) : null;
+
+			if (resumed) {
+				// A stale socket for the same seat (e.g. a second tab) gets replaced.
+				if (resumed.ws && resumed.ws !== ws) resumed.ws.close();
+				clearTimeout(resumed.graceTimer);
+				resumed.ws = ws;
+				resumed.offlineSince = null;
+				playerId = resumed.id;
+			} else {
+				if (isBanned(target, name, token)) throw new ProtocolError("BANNED", "You can't join this room.");
 
-			wins.sort((a, b) => {
-				if (b.amount !== a.amount) return b.amount - a.amount; // highest bid kept
-				if (a.ts !== b.ts) return a.ts - b.ts; // earlier kept
-				return a.topicId.localeCompare(b.topicId);
-			});
+				// The host key opens the room even without the passcode.
+				if (msg.hostKey !== target.hostKey && !checkPasscode(target, msg.passcode)) {
+					throw new ProtocolError("BAD_PASSCODE", msg.passcode ? "Wrong passcode." : "This room needs a passcode.");
+				}
 
-			keepByPlayer.set(playerId, wins[0].topicId);
-		}
+				if (target.locked && !target.config.allowJoinAfterLock) throw new ProtocolError("ROOM_LOCKED", "Room is locked.");
+				if (target.players.size >= LIMITS.playersPerRoom) throw limitError("ROOM_FULL", "This room is full.");
 
-		// Remove player from topics they shouldn't keep.
-		for (const [playerId, keepTopicId] of keepByPlayer.entries()) {
-			for (const t of topics) {
-				const winners = winnersByTopic.get(t.id);
-				if (!winners.has(playerId)) continue;
-				if (t.id === keepTopicId) continue;
+				// Roster rooms only seat listed people (the host key gets staff in regardless).
+				let entry = null;
+				if (target.roster && msg.hostKey !== target.hostKey) {
+					const match = matchRoster(target, name, msg.rosterCode);
+					if (match.error) throw new ProtocolError("NOT_ON_ROSTER", match.error);
+					entry = match.entry;
+				}
 
-				winners.delete(playerId);
-				changed = true;
+				// Roster names are the roster's business; anyone else gets a name of their own.
+				const seatName = entry ? entry.name : uniqueName(target, name);
+
+				playerId = nanoid(8);
+				target.players.set(playerId, {
+					id: playerId,
+					name: seatName,
+					spent: 0,
+					token: nanoid(24),
+					ws,
+					offlineSince: null,
+					rosterId: entry?.id ?? null,
+					budget: null
+				});
 			}
-		}
 
-		// Refill any topics that now have vacancies with next highest bidders
-		// who are NOT already winning any topic.
-		// First figure out who is already winning something.
-		const winningPlayers = new Set();
-		for (const t of topics) {
-			for (const pid of winnersByTopic.get(t.id)) winningPlayers.add(pid);
+			// Ownership only moves by host key once a room exists; roles are in full updates only.
+			if (claimHost(target, playerId, msg.hostKey)) broadcastRoomUpdate(target);
+
+			room = target;
+			welcome(!!resumed);
+			return;
 		}
 
-		for (const t of topics) {
-			const winners = winnersByTopic.get(t.id);
-			if (winners.size >= t.capacity) continue;
+		// Observers only ever watch.
+		if (observerId) {
+			if (msg.type !== "resync") throw new ProtocolError("OBSERVER", "Observers can't do that.");
+			room.observers.get(observerId).sentVersion = room.version;
+			wsSend(ws, { type: "room_update", room: roomSnapshot(room, observerId) });
+			return;
+		}
 
-			const list = bidLists.get(t.id) ?? [];
-			let idx = nextIndex.get(t.id) ?? 0;
+		// Nothing else until joined (or after this socket was replaced).
+		if (!room || room.players.get(playerId)?.ws !== ws) throw new ProtocolError("NOT_JOINED", "Join a room first.");
 
-			while (winners.size < t.capacity && idx < list.length) {
-				const cand = list[idx++];
-				if (winners.has(cand.playerId)) continue;
-				if (winningPlayers.has(cand.playerId)) continue;
+		const { role } = MESSAGE_SCHEMAS[msg.type];
+		if (role === "host" && !hasHostRole(room, playerId)) throw new ProtocolError("NOT_HOST", "Only a host can do that.");
+		if (role === "owner" && !isOwner(room, playerId)) throw new ProtocolError("NOT_OWNER", "Only the room's owner can do that.");
+		if (room.finalized && MESSAGE_SCHEMAS[msg.type].final === false) {
+			throw new ProtocolError("FINALIZED", "Results are final. Start the next round to change anything.");
+		}
 
-				winners.add(cand.playerId);
-				winningPlayers.add(cand.playerId);
-				changed = true;
+		if (msg.type === "set_config") {
+			try {
+				applyConfig(room, msg);
+			} catch (err) {
+				throw new ProtocolError("INVALID", err.message);
 			}
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
+		}
 
-			nextIndex.set(t.id, idx);
+		if (msg.type === "set_topics") {
+			try {
+				applyTopics(room, msg.topics);
+			} catch (err) {
+				throw new ProtocolError("INVALID", err.message);
+			}
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
 		}
-	}
 
-	// Build output
-	const result = {
-		winnersByTopic: {},
-		assignmentByPlayer: {} // playerId -> topicId
-	};
+		if (msg.type === "import_topics") {
+			try {
+				applyTopics(room, parseTopicImport(msg.format, msg.data));
+			} catch (err) {
+				throw new ProtocolError("INVALID", err.message);
+			}
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
+		}
 
-	for (const t of topics) {
-		result.winnersByTopic[t.id] = [...winnersByTopic.get(t.id)];
-	}
+		if (msg.type === "lock_bids") {
+			setLocked(room, true);
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
+		}
 
-	// assignmentByPlayer (invert)
-	for (const t of topics) {
-		for (const pid of winnersByTopic.get(t.id)) {
-			result.assignmentByPlayer[pid] = t.id;
+		if (msg.type === "unlock_bids") {
+			setLocked(room, false);
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
 		}
-	}
 
-	return result;
-}
+		if (msg.type === "bid") {
+			if (room.locked) throw new ProtocolError("ROOM_LOCKED", "Bidding is closed.");
+
+			const topicId = msg.topicId;
+			const amount = Math.max(0, Math.floor(msg.amount));
+
+			// Ensure topic exists and still has seats this round
+			const topic = room.topics.find(t => t.id === topicId);
+			if (!topic) throw new ProtocolError("UNKNOWN_TOPIC", "That topic doesn't exist (any more).");
+			if (remainingCapacity(room, topic) === 0) throw new ProtocolError("TOPIC_FULL", "That topic was filled in an earlier round.");
+
+			// Players assigned in an earlier round are done bidding.
+			if (room.frozen.has(playerId)) throw new ProtocolError("ALREADY_ASSIGNED", "You were assigned in an earlier round.");
+
+			// Team members all bid into the team's shared bids.
+			const bidderId = bidderOf(room, playerId);
+			const perTopic = room.bids.get(bidderId) ?? new Map();
+			const budget = bidderBudget(room, bidderId);
+			const others = recomputeSpent(room, bidderId) - (perTopic.get(topicId)?.amount ?? 0);
+			const policy = room.config.overBudget;
+
+			let placed = amount;
+			if (others + amount > budget) {
+				if (policy === "reject") {
+					room.players.get(playerId).sentVersion = room.version;
+					wsSend(ws, { type: "room_update", room: roomSnapshot(room, playerId) }); // puts the slider back
+					throw new ProtocolError("OVER_BUDGET", `That bid would go over budget: you have ${Math.max(0, budget - others)} points left for it.`);
+				}
+				if (policy === "cap_new") placed = Math.max(0, budget - others);
+			}
 
-wss.on("connection", (ws) => {
-	const playerId = nanoid(8);
-	let room = null;
+			// Re-sending the same amount keeps the bid's place in an earliest-bid tie-break.
+			const prev = perTopic.get(topicId);
+			perTopic.set(topicId, { amount: placed, ts: prev?.amount === placed ? prev.ts : Date.now() });
+			room.bids.set(bidderId, perTopic);
 
-	ws.on("message", (raw) => {
-		let msg;
-		try {
-			msg = JSON.parse(raw.toString());
-		} catch {
+			// Enforce budget by clamping this bidder's bids per the room's policy.
+			const changes = clampBidsToBudget(room, bidderId);
+			if (placed !== amount) changes.unshift({ topicId, from: amount, to: placed });
+			notifyBidChanges(room, bidderId, changes, "over_budget");
+
+			persistRoom(room);
+			// A soft-close extension moves the deadline, which only full updates carry.
+			if (extendDeadlineForBid(room)) broadcastRoomUpdate(room);
+			else queuePatch(room, { bids: [topicId, ...changes.map(c => c.topicId)].map(tid => [bidderId, tid]) });
 			return;
 		}
 
-		if (msg.type === "join") {
-			const roomId = String(msg.roomId ?? "").trim().toUpperCase();
-			const name = String(msg.name ?? "Player").trim().slice(0, 32) || "Player";
+		// The client missed a patch (its version didn't match); start it over from a snapshot.
+		if (msg.type === "resync") {
+			room.players.get(playerId).sentVersion = room.version;
+			wsSend(ws, { type: "room_update", room: roomSnapshot(room, playerId) });
+			return;
+		}
 
-			if (!roomId) {
-				wsSend(ws, { type: "error", message: "Room code required." });
-				return;
+		if (msg.type === "create_team" || msg.type === "join_team" || msg.type === "leave_team") {
+			try {
+				if (msg.type === "create_team") createTeam(room, playerId, msg.name);
+				if (msg.type === "join_team") joinTeam(room, playerId, String(msg.teamId ?? ""));
+				if (msg.type === "leave_team") {
+					checkTeamChange(room, playerId);
+					leaveTeam(room, playerId);
+				}
+			} catch (err) {
+				throw new ProtocolError("INVALID", err.message);
 			}
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
+		}
 
-			room = getOrCreateRoom(roomId);
-
-			if (room.locked && !room.config.allowJoinAfterLock) {
-				wsSend(ws, { type: "error", message: "Room is locked." });
-				return;
+		if (msg.type === "set_deadline") {
+			try {
+				setDeadline(room, msg);
+			} catch (err) {
+				throw new ProtocolError("INVALID", err.message);
 			}
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
+		}
 
-			// First person becomes host.
-			if (!room.hostId) room.hostId = playerId;
+		if (msg.type === "clear_deadline") {
+			clearDeadline(room);
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
+		}
 
-			room.players.set(playerId, { id: playerId, name, spent: 0, ws });
-			if (!room.bids.has(playerId)) room.bids.set(playerId, new Map());
+		if (msg.type === "compute_winners") {
+			previewWinners(room);
+			return;
+		}
 
-			recomputeSpent(room, playerId);
+		if (msg.type === "publish_results") {
+			// Without a runId: the newest run of this round.
+			const run = msg.runId
+				? room.runs.find(r => r.id === msg.runId)
+				: room.runs.findLast(r => r.round === room.round);
+			if (!run) throw new ProtocolError(msg.runId ? "UNKNOWN_RUN" : "NO_RESULTS", msg.runId ? "That run isn't in the history." : "Compute winners first.");
+			if (run.round !== room.round) throw new ProtocolError("INVALID", "That run is from an earlier round.");
+			publishRun(room, run);
+			return;
+		}
 
-			wsSend(ws, { type: "joined", playerId, room: roomSnapshot(room) });
-			broadcast(room, { type: "room_update", room: roomSnapshot(room) });
+		if (msg.type === "get_run") {
+			const run = room.runs.find(r => r.id === msg.runId);
+			if (!run) throw new ProtocolError("UNKNOWN_RUN", "That run isn't in the history.");
+			wsSend(ws, { type: "run", run: runView(run, playerId) });
 			return;
 		}
 
-		// Ignore other messages until joined.
-		if (!room || !room.players.has(playerId)) return;
+		if (msg.type === "diff_runs") {
+			const from = room.runs.find(r => r.id === msg.fromId);
+			const to = room.runs.find(r => r.id === msg.toId);
+			if (!from || !to) throw new ProtocolError("UNKNOWN_RUN", "That run isn't in the history.");
+			wsSend(ws, { type: "run_diff", diff: diffRuns(from, to) });
+			return;
+		}
 
-		const isHost = room.hostId === playerId;
+		if (msg.type === "next_round") {
+			if (!room.lastWinners) throw new ProtocolError("NO_RESULTS", "Compute winners before starting the next round.");
 
-		if (msg.type === "set_config" && isHost) {
-			const budget = Math.max(1, Math.min(10000, Math.floor(msg.budget ?? room.config.budget)));
-			room.config.budget = budget;
+			startNextRound(room);
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			broadcast(room, { type: "winners", winners: null });
+			return;
+		}
 
-			if (typeof msg.revealBids === "boolean") room.config.revealBids = msg.revealBids;
-			if (typeof msg.allowJoinAfterLock === "boolean") room.config.allowJoinAfterLock = msg.allowJoinAfterLock;
+		if (msg.type === "set_passcode") {
+			setPasscode(room, msg.passcode);
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
+		}
 
-			// Budget change can invalidate bids; clamp.
-			for (const pid of room.players.keys()) {
-				clampBidsToBudget(room, pid);
+		if (msg.type === "set_player_budget") {
+			try {
+				setPlayerBudget(room, String(msg.playerId ?? ""), msg.budget);
+			} catch (err) {
+				throw new ProtocolError("INVALID", err.message);
 			}
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
+		}
 
-			broadcast(room, { type: "room_update", room: roomSnapshot(room) });
+		if (msg.type === "set_override") {
+			try {
+				setOverride(room, msg.playerId, msg.topicId, msg.kind);
+			} catch (err) {
+				throw new ProtocolError("INVALID", err.message);
+			}
+			persistRoom(room);
+			broadcastRoomUpdate(room);
 			return;
 		}
 
-		if (msg.type === "set_topics" && isHost) {
-			const topicsRaw = Array.isArray(msg.topics) ? msg.topics : [];
-			room.topics = topicsRaw.slice(0, 50).map(t => ({
-				id: String(t.id ?? nanoid(6)),
-				name: String(t.name ?? "Topic").trim().slice(0, 80) || "Topic",
-				capacity: Math.max(1, Math.min(20, Math.floor(t.capacity ?? 1)))
-			}));
+		// Swapping recomputes right away, so the host sees the result as a new preview.
+		if (msg.type === "swap_players") {
+			let swapped;
+			try {
+				swapped = swapPlayers(room, msg.playerA, msg.playerB);
+			} catch (err) {
+				throw new ProtocolError("INVALID", err.message);
+			}
+			previewWinners(room, swapped.settings.seed);
+			return;
+		}
 
-			// Remove bids on deleted topics.
-			const topicIds = new Set(room.topics.map(t => t.id));
-			for (const [pid, perTopic] of room.bids.entries()) {
-				for (const tid of [...perTopic.keys()]) {
-					if (!topicIds.has(tid)) perTopic.delete(tid);
-				}
-				recomputeSpent(room, pid);
-				clampBidsToBudget(room, pid);
+		if (msg.type === "set_roster") {
+			try {
+				applyRoster(room, msg.roster);
+			} catch (err) {
+				throw new ProtocolError("INVALID", err.message);
 			}
 
-			broadcast(room, { type: "room_update", room: roomSnapshot(room) });
+			persistRoom(room);
+			broadcastRoomUpdate(room);
 			return;
 		}
 
-		if (msg.type === "lock_bids" && isHost) {
-			room.locked = true;
-			broadcast(room, { type: "room_update", room: roomSnapshot(room) });
+		if (msg.type === "claim_host") {
+			if (!claimHost(room, playerId, msg.hostKey)) throw new ProtocolError("BAD_HOST_KEY", "Wrong host key.");
+			persistRoom(room);
+			broadcastRoomUpdate(room);
 			return;
 		}
 
-		if (msg.type === "unlock_bids" && isHost) {
-			room.locked = false;
-			broadcast(room, { type: "room_update", room: roomSnapshot(room) });
+		if (msg.type === "transfer_host") {
+			const targetId = msg.playerId;
+			if (!room.players.has(targetId)) throw new ProtocolError("UNKNOWN_PLAYER", "No such player in this room.");
+			if (targetId === playerId) throw new ProtocolError("INVALID", "You already own this room.");
+
+			// The outgoing owner stays on as a co-host.
+			room.coHostIds.delete(targetId);
+			room.coHostIds.add(playerId);
+			room.hostId = targetId;
+			persistRoom(room);
+			broadcastRoomUpdate(room);
 			return;
 		}
 
-		if (msg.type === "bid" && !room.locked) {
-			const topicId = String(msg.topicId ?? "");
-			const amount = Math.max(0, Math.floor(Number(msg.amount ?? 0)));
+		if (msg.type === "set_cohost") {
+			const targetId = msg.playerId;
+			if (!room.players.has(targetId)) throw new ProtocolError("UNKNOWN_PLAYER", "No such player in this room.");
+			if (targetId === playerId) throw new ProtocolError("INVALID", "The owner can't be a co-host.");
 
-			// Ensure topic exists
-			if (!room.topics.some(t => t.id === topicId)) return;
+			if (msg.coHost) room.coHostIds.add(targetId);
+			else room.coHostIds.delete(targetId);
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
+		}
 
-			const perTopic = room.bids.get(playerId) ?? new Map();
-			perTopic.set(topicId, { amount, ts: Date.now() });
-			room.bids.set(playerId, perTopic);
+		if (msg.type === "kick_player") {
+			const targetId = msg.playerId;
+			if (!room.players.has(targetId)) throw new ProtocolError("UNKNOWN_PLAYER", "No such player in this room.");
+			// Nobody kicks the owner or themselves; co-hosts can't kick each other.
+			if (targetId === playerId || targetId === room.hostId || (room.coHostIds.has(targetId) && !isOwner(room, playerId))) {
+				throw new ProtocolError("NOT_OWNER", "You can't remove that player.");
+			}
 
-			// Enforce budget by clamping this player's bids.
-			clampBidsToBudget(room, playerId);
+			kickPlayer(room, targetId, ["name", "session"].includes(msg.ban) ? msg.ban : null);
+			persistRoom(room);
+			broadcastRoomUpdate(room);
+			return;
+		}
 
-			broadcast(room, { type: "room_update", room: roomSnapshot(room) });
+		if (msg.type === "unban") {
+			room.bans = room.bans.filter(b => b.id !== msg.banId);
+			persistRoom(room);
+			broadcastRoomUpdate(room);
 			return;
 		}
 
-		if (msg.type === "compute_winners" && isHost) {
-			const winners = computeWinners(room);
-			broadcast(room, { type: "winners", winners });
+		if (msg.type === "reveal_bids") {
+			room.revealed = true;
+			persistRoom(room);
+			broadcastRoomUpdate(room);
 			return;
 		}
-	});
+	}
 
 	ws.on("close", () => {
+		if (--stats.connections === 0) ipStats.delete(ip);
 		if (!room) return;
+		if (observerId) {
+			room.observers.delete(observerId);
+			return;
+		}
 		const p = room.players.get(playerId);
-		if (p) {
-			room.players.delete(playerId);
-			// keep bids in case they reconnect? For now, remove.
-			room.bids.delete(playerId);
-
-			// If host left, pick a new host.
-			if (room.hostId === playerId) {
-				const next = room.players.keys().next().value ?? null;
-				room.hostId = next;
-			}
 
-			// Clean up empty rooms.
-			if (room.players.size === 0) rooms.delete(room.id);
-			else broadcast(room, { type: "room_update", room: roomSnapshot(room) });
+		// Only the socket currently holding the seat can take it offline.
+		if (p && p.ws === ws) {
+			markOffline(room, playerId);
+			queuePatch(room, { players: [playerId] });
 		}
 	});
 });
 
-function clampBidsToBudget(room, playerId) {
-	const budget = room.config.budget;
-	const perTopic = room.bids.get(playerId);
-	if (!perTopic) return;
+/**
+ * What to do when a bid would take a bidder over budget (config.overBudget):
+ * - reject: refuse the bid with an error.
+ * - trim_smallest: take the excess from the smallest bids first.
+ * - scale: shrink every bid by the same factor.
+ * - cap_new: lower the new bid to whatever budget is left.
+ * "reject" and "cap_new" are handled where the bid comes in; everything else
+ * that can push bids over (a lower budget, a smaller team) trims, or scales
+ * under "scale".
+ */
+const OVER_BUDGET_POLICIES = ["reject", "trim_smallest", "scale", "cap_new"];
+
+/**
+ * Bring a bidder back within budget. Returns the bids it changed as
+ * [{ topicId, from, to }] so the bidder can be told.
+ */
+function clampBidsToBudget(room, bidderId) {
+	const budget = bidderBudget(room, bidderId);
+	const perTopic = room.bids.get(bidderId);
+	if (!perTopic) return [];
 
-	// If over budget, reduce bids starting from smallest (least important).
-	// This is a policy choice; you could also reject the last change instead.
 	const entries = [...perTopic.entries()].map(([topicId, b]) => ({
 		topicId,
+		from: b.amount,
 		amount: Math.max(0, Math.floor(b.amount)),
 		ts: b.ts ?? Date.now()
 	}));
 
 	let total = entries.reduce((s, e) => s + e.amount, 0);
 	if (total <= budget) {
-		recomputeSpent(room, playerId);
-		return;
+		recomputeSpent(room, bidderId);
+		return [];
 	}
 
-	// Sort ascending by amount, then newest first (so recent tweaks get trimmed slightly earlier)
-	entries.sort((a, b) => {
-		if (a.amount !== b.amount) return a.amount - b.amount;
-		return b.ts - a.ts;
-	});
+	if (room.config.overBudget === "scale") {
+		// Rounding down keeps the total at or under budget.
+		for (const e of entries) e.amount = Math.floor((e.amount * budget) / total);
+	} else {
+		// Sort ascending by amount, then newest first (so recent tweaks get trimmed slightly earlier)
+		entries.sort((a, b) => {
+			if (a.amount !== b.amount) return a.amount - b.amount;
+			return b.ts - a.ts;
+		});
 
-	let over = total - budget;
-	for (const e of entries) {
-		if (over <= 0) break;
-		if (e.amount <= 0) continue;
+		let over = total - budget;
+		for (const e of entries) {
+			if (over <= 0) break;
+			if (e.amount <= 0) continue;
 
-		const take = Math.min(e.amount, over);
-		e.amount -= take;
-		over -= take;
+			const take = Math.min(e.amount, over);
+			e.amount -= take;
+			over -= take;
+		}
 	}
 
 	// Write back
 	const newMap = new Map();
-	for (const e of entries) newMap.set(e.topicId, { amount: e.amount, ts: Date.now() });
-	room.bids.set(playerId, newMap);
-	recomputeSpent(room, playerId);
+	for (const e of entries) newMap.set(e.topicId, { amount: e.amount, ts: e.ts });
+	room.bids.set(bidderId, newMap);
+	recomputeSpent(room, bidderId);
+
+	return entries.filter(e => e.amount !== e.from).map(e => ({ topicId: e.topicId, from: e.from, to: e.amount }));
+}
+
+/**
+ * Tell a bidder (every member, for a team) which of their bids the server changed.
+ */
+function notifyBidChanges(room, bidderId, changes, reason) {
+	if (!changes.length) return;
+	for (const pid of room.teams.get(bidderId)?.memberIds ?? [bidderId]) {
+		const p = room.players.get(pid);
+		if (p?.ws) wsSend(p.ws, { type: "bids_adjusted", reason, changes });
+	}
+}
+
+/**
+ * REST API for other tools (LMS sync, gradebook import).
+ * Reads need what joining the room needs: on a room with a passcode, send it
+ * as `X-Room-Passcode` (or ?passcode=), or use a host token. Writes need a
+ * host's session token or the room's host key as `Authorization: Bearer <token>`.
+ */
+const api = express.Router();
+api.use(express.json({ limit: "100kb" }));
+
+function findRoom(req, res, next) {
+	const room = rooms.get(String(req.params.roomId).toUpperCase());
+	if (!room) {
+		res.status(404).json({ error: "Room not found." });
+		return;
+	}
+	req.room = room;
+	next();
+}
+
+function isHostRequest(req) {
+	// Download links can't set headers, so ?token= works too.
+	// Either a host-role player's session token or the room's host key.
+	const token = (req.get("authorization") ?? "").replace(/^Bearer\s+/i, "") || String(req.query.token ?? "");
+	const player = [...req.room.players.values()].find(p => p.token === token);
+	return !!token && (token === req.room.hostKey || (!!player && hasHostRole(req.room, player.id)));
+}
+
+function requireHost(req, res, next) {
+	if (!isHostRequest(req)) {
+		res.status(403).json({ error: "Host token required." });
+		return;
+	}
+	next();
+}
+
+/**
+ * Reads on a room with a passcode: the passcode or a host token, same as joining.
+ */
+function requirePasscode(req, res, next) {
+	if (!isHostRequest(req) && !checkPasscode(req.room, req.get("x-room-passcode") ?? req.query.passcode)) {
+		res.status(403).json({ error: "This room needs a passcode." });
+		return;
+	}
+	next();
+}
+
+/**
+ * Same rule as `final: false` messages: a finalized room keeps its inputs.
+ */
+function requireOpen(req, res, next) {
+	if (req.room.finalized) {
+		res.status(409).json({ error: "Results are final. Start the next round to change anything." });
+		return;
+	}
+	next();
+}
+
+/**
+ * Every REST write goes out to connected clients the same way a WebSocket one does.
+ */
+function afterWrite(req, res) {
+	persistRoom(req.room);
+	broadcastRoomUpdate(req.room);
+	res.json({ ok: true });
+}
+
+api.get("/limits", (req, res) => {
+	res.json({ limits: LIMITS, counters: limitCounters, rooms: rooms.size, connections: wss.clients.size });
+});
+
+api.get("/rooms/:roomId", findRoom, requirePasscode, (req, res) => {
+	const room = req.room;
+	res.json({
+		id: room.id,
+		locked: room.locked,
+		round: room.round,
+		topicCount: room.topics.length,
+		playerCount: room.players.size,
+		onlineCount: [...room.players.values()].filter(p => p.ws).length,
+		hasResults: !!room.lastWinners,
+		finalized: room.finalized
+	});
+});
+
+api.get("/rooms/:roomId/config", findRoom, requirePasscode, (req, res) => {
+	res.json({ config: visibleConfig(req.room, isHostRequest(req)), topics: req.room.topics });
+});
+
+api.get("/rooms/:roomId/topics", findRoom, requirePasscode, (req, res) => {
+	res.json(req.room.topics);
+});
+
+api.get("/rooms/:roomId/players", findRoom, requirePasscode, (req, res) => {
+	const room = req.room;
+	// Individual budgets are host-only, like in the room snapshot; spent
+	// totals are hidden while bids are sealed.
+	const host = isHostRequest(req);
+	const showSpent = host || canSeeAllBids(room, null);
+	res.json([...room.players.values()].map(p => ({
+		id: p.id,
+		name: p.name,
+		host: p.id === room.hostId,
+		coHost: room.coHostIds.has(p.id),
+		online: !!p.ws,
+		teamId: p.teamId ?? null,
+		spent: showSpent ? p.spent : null,
+		budget: host ? bidderBudget(room, bidderOf(room, p.id)) : null
+	})));
+});
+
+api.put("/rooms/:roomId/players/:playerId/budget", findRoom, requireHost, requireOpen, (req, res, next) => {
+	try {
+		setPlayerBudget(req.room, req.params.playerId, req.body?.budget ?? null);
+	} catch (err) {
+		res.status(404).json({ error: err.message });
+		return;
+	}
+	next();
+}, afterWrite);
+
+api.get("/rooms/:roomId/roster", findRoom, requireHost, (req, res) => {
+	res.json(rosterStatus(req.room));
+});
+
+api.put("/rooms/:roomId/roster", express.text({ type: "text/csv", limit: "200kb" }), findRoom, requireHost, requireOpen, (req, res, next) => {
+	try {
+		applyRoster(req.room, typeof req.body === "string" ? req.body : req.body?.roster);
+	} catch (err) {
+		res.status(400).json({ error: err.message });
+		return;
+	}
+	next();
+}, afterWrite);
+
+api.get("/rooms/:roomId/winners", findRoom, requirePasscode, (req, res) => {
+	if (!req.room.lastWinners) {
+		res.status(404).json({ error: "No results yet." });
+		return;
+	}
+	res.json(req.room.lastWinners);
+});
+
+api.put("/rooms/:roomId/topics", findRoom, requireHost, requireOpen, (req, res, next) => {
+	try {
+		applyTopics(req.room, req.body?.topics);
+	} catch (err) {
+		res.status(400).json({ error: err.message });
+		return;
+	}
+	next();
+}, afterWrite);
+
+api.post("/rooms/:roomId/topics/import", express.text({ type: "text/csv", limit: "200kb" }), findRoom, requireHost, requireOpen, (req, res, next) => {
+	try {
+		const topics = typeof req.body === "string"
+			? parseTopicImport("csv", req.body)
+			: parseTopicImport("json", JSON.stringify(req.body ?? null));
+		applyTopics(req.room, topics);
+	} catch (err) {
+		res.status(400).json({ error: err.message });
+		return;
+	}
+	next();
+}, afterWrite);
+
+api.get("/rooms/:roomId/export/:report.:format", findRoom, requireHost, (req, res) => {
+	if (!Object.hasOwn(EXPORTS, req.params.report) || !["csv", "json"].includes(req.params.format)) {
+		res.status(404).json({ error: "Unknown export." });
+		return;
+	}
+
+	const report = EXPORTS[req.params.report](req.room);
+	const { contentType, body } = renderExport(report, req.params.format);
+	res.type(contentType);
+	res.attachment(`${req.room.id}-${req.params.report}.${req.params.format}`);
+	res.send(body);
+});
+
+api.patch("/rooms/:roomId/config", findRoom, requireHost, requireOpen, (req, res, next) => {
+	try {
+		applyConfig(req.room, req.body ?? {});
+	} catch (err) {
+		res.status(400).json({ error: err.message });
+		return;
+	}
+	next();
+}, afterWrite);
+
+api.post("/rooms/:roomId/lock", findRoom, requireHost, requireOpen, (req, res, next) => {
+	setLocked(req.room, true);
+	next();
+}, afterWrite);
+
+api.post("/rooms/:roomId/unlock", findRoom, requireHost, requireOpen, (req, res, next) => {
+	setLocked(req.room, false);
+	next();
+}, afterWrite);
+
+// Like compute_winners: a private run that still has to be published.
+api.post("/rooms/:roomId/compute", findRoom, requireHost, requireOpen, (req, res) => {
+	const run = previewWinners(req.room);
+	res.json(runView(run, null));
+});
+
+api.get("/rooms/:roomId/runs", findRoom, requireHost, (req, res) => {
+	res.json(req.room.runs.map(runSummary));
+});
+
+api.get("/rooms/:roomId/runs/:runId", findRoom, requireHost, (req, res) => {
+	const run = req.room.runs.find(r => r.id === req.params.runId);
+	if (!run) {
+		res.status(404).json({ error: "Unknown run." });
+		return;
+	}
+	res.json({ ...runView(run, null), bids: run.bids, topics: run.topics });
+});
+
+api.get("/rooms/:roomId/runs/:fromId/diff/:toId", findRoom, requireHost, (req, res) => {
+	const from = req.room.runs.find(r => r.id === req.params.fromId);
+	const to = req.room.runs.find(r => r.id === req.params.toId);
+	if (!from || !to) {
+		res.status(404).json({ error: "Unknown run." });
+		return;
+	}
+	res.json(diffRuns(from, to));
+});
+
+api.post("/rooms/:roomId/runs/:runId/publish", findRoom, requireHost, requireOpen, (req, res) => {
+	const run = req.room.runs.find(r => r.id === req.params.runId);
+	if (!run || run.round !== req.room.round) {
+		res.status(404).json({ error: "Unknown run (or from an earlier round)." });
+		return;
+	}
+	publishRun(req.room, run);
+	res.json(req.room.lastWinners);
+});
+
+// Malformed JSON bodies etc. come back as JSON too.
+api.use((err, req, res, next) => {
+	res.status(err.status ?? 500).json({ error: err.expose ? err.message : "Server error." });
+});
+
+app.use("/api", api);
+
+for (const record of await storage.load()) {
+	const room = deserializeRoom(record);
+	const runs = await storage.loadRuns(record.id);
+	if (runs) room.runs = normalizeRuns(runs);
+	else if (room.runs.length) persistRuns(room); // moves inline runs out of the record
+	rooms.set(record.id, room);
+	// A deadline that passed while we were down expires right away.
+	armDeadline(room);
+}
+console.log(`Restored ${rooms.size} room(s) from storage`);
+
+function shutdown() {
+	flushDirtyRooms();
+	storage.flush();
+	process.exit(0);
 }
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-	console.log(`Server running on http://localhost:${PORT}`);
+	// PORT=0 picks a free port (the tests do this), so print the one we got.
+	console.log(`Server running on http://localhost:${server.address().port}`);
 });
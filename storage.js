@@ -0,0 +1,139 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Room storage.
+ *
+ * A storage backend only deals with plain JSON room records ({ id, ... }).
+ * server.js turns live rooms into records (and back) so backends never
+ * need to know about Maps or sockets.
+ *
+ * Result history (see history.js) is kept apart from the room record: it
+ * only changes when a result is computed or published, while the record is
+ * written on every bid.
+ *
+ * Interface:
+ * {
+ *		load(): Promise<record[]>,
+ *		saveRoom(record),
+ *		deleteRoom(roomId), // and its runs
+ *		loadRuns(roomId): Promise<run[] | null>,
+ *		saveRuns(roomId, runs),
+ *		flush()
+ * }
+ */
+
+/**
+ * Keeps nothing. Rooms vanish on restart, like before storage existed.
+ */
+export function createMemoryStorage() {
+	return {
+		async load() {
+			return [];
+		},
+		saveRoom() {},
+		deleteRoom() {},
+		async loadRuns() {
+			return null;
+		},
+		saveRuns() {},
+		flush() {}
+	};
+}
+
+/**
+ * File-backed storage:
+ * - events.jsonl: append-only log, one { op: "put" | "delete", ... } per line.
+ * - snapshot.json: every room as of the last compaction.
+ *
+ * - runs/<roomId>.json: that room's result history, rewritten whole when it changes.
+ *
+ * Startup replays the log on top of the snapshot, then compacts.
+ * The log is compacted again every `snapshotEvery` events.
+ */
+export function createFileStorage({ dir, snapshotEvery = 500 }) {
+	const snapshotPath = path.join(dir, "snapshot.json");
+	const logPath = path.join(dir, "events.jsonl");
+	const runsDir = path.join(dir, "runs");
+	// Room codes are server-made, but never let one name a path outside runsDir.
+	const runsPath = (roomId) => path.join(runsDir, `${String(roomId).replace(/[^A-Za-z0-9_-]/g, "")}.json`);
+
+	const records = new Map(); // roomId -> record
+	let eventsSinceSnapshot = 0;
+
+	function readSnapshot() {
+		if (!fs.existsSync(snapshotPath)) return;
+		const data = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+		for (const record of data.rooms ?? []) records.set(record.id, record);
+	}
+
+	function replayLog() {
+		if (!fs.existsSync(logPath)) return;
+		const lines = fs.readFileSync(logPath, "utf8").split("\n");
+		for (const line of lines) {
+			if (!line.trim()) continue;
+
+			let event;
+			try {
+				event = JSON.parse(line);
+			} catch {
+				// A crash mid-append can leave a torn last line; skip it.
+				continue;
+			}
+
+			if (event.op === "put") records.set(event.room.id, event.room);
+			if (event.op === "delete") records.delete(event.roomId);
+		}
+	}
+
+	function compact() {
+		const tmpPath = `${snapshotPath}.tmp`;
+		const data = { version: 1, savedAt: Date.now(), rooms: [...records.values()] };
+		fs.writeFileSync(tmpPath, JSON.stringify(data));
+		fs.renameSync(tmpPath, snapshotPath);
+		fs.writeFileSync(logPath, "");
+		eventsSinceSnapshot = 0;
+	}
+
+	function append(event) {
+		fs.appendFileSync(logPath, JSON.stringify(event) + "\n");
+		if (++eventsSinceSnapshot >= snapshotEvery) compact();
+	}
+
+	return {
+		async load() {
+			fs.mkdirSync(dir, { recursive: true });
+			readSnapshot();
+			replayLog();
+			compact();
+			return [...records.values()];
+		},
+
+		saveRoom(record) {
+			records.set(record.id, record);
+			append({ op: "put", room: record });
+		},
+
+		deleteRoom(roomId) {
+			fs.rmSync(runsPath(roomId), { force: true });
+			if (!records.delete(roomId)) return;
+			append({ op: "delete", roomId });
+		},
+
+		async loadRuns(roomId) {
+			if (!fs.existsSync(runsPath(roomId))) return null;
+			return JSON.parse(fs.readFileSync(runsPath(roomId), "utf8"));
+		},
+
+		saveRuns(roomId, runs) {
+			fs.mkdirSync(runsDir, { recursive: true });
+			const tmpPath = `${runsPath(roomId)}.tmp`;
+			fs.writeFileSync(tmpPath, JSON.stringify(runs));
+			fs.renameSync(tmpPath, runsPath(roomId));
+		},
+
+		flush() {
+			compact();
+		}
+	};
+}
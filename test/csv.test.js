@@ -0,0 +1,13 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, toCsv } from "../csv.js";
+
+test("text that a spreadsheet would run as a formula is written as text", () => {
+	const csv = toCsv([["=1+1", "+SUM(A1)", "-cmd", "@x", "\tTab", "plain", -3, 0]]);
+	assert.equal(csv, "'=1+1,'+SUM(A1),'-cmd,'@x,'\tTab,plain,-3,0\r\n");
+});
+
+test("quoting still applies to escaped cells", () => {
+	assert.equal(toCsv([['=HYPERLINK("x", "y")']]), `"'=HYPERLINK(""x"", ""y"")"\r\n`);
+	assert.deepEqual(parseCsv(toCsv([["a,b", 'say "hi"']])), [["a,b", 'say "hi"']]);
+});
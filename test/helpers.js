@@ -0,0 +1,107 @@
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import WebSocket from "ws";
+
+const SERVER = fileURLToPath(new URL("../server.js", import.meta.url));
+
+/**
+ * A server of its own on a free port with in-memory storage. Stop it with `stop()`.
+ */
+export async function startServer(env = {}) {
+	const child = spawn(process.execPath, [SERVER], {
+		env: { ...process.env, STORAGE: "memory", PORT: "0", LIMIT_MESSAGES_PER_SEC: "1000", ...env },
+		stdio: ["ignore", "pipe", "inherit"]
+	});
+	const port = await new Promise((resolve, reject) => {
+		let out = "";
+		child.stdout.on("data", (chunk) => {
+			out += chunk;
+			const m = out.match(/Server running on http:\/\/localhost:(\d+)/);
+			if (m) resolve(Number(m[1]));
+		});
+		child.on("exit", (code) => reject(new Error(`Server exited with code ${code}.`)));
+	});
+	child.stdout.resume();
+
+	return {
+		port,
+		url: `http://localhost:${port}`,
+		api: (path, { method = "GET", token, body } = {}) => fetch(`http://localhost:${port}/api${path}`, {
+			method,
+			headers: {
+				...(token ? { authorization: `Bearer ${token}` } : {}),
+				...(body !== undefined ? { "content-type": "application/json" } : {})
+			},
+			body: body !== undefined ? JSON.stringify(body) : undefined
+		}),
+		stop: () => new Promise(resolve => {
+			child.once("exit", resolve);
+			child.kill();
+		})
+	};
+}
+
+/**
+ * A WebSocket client: `send` fills in the id (and protocol on join/create),
+ * `next(pred)` resolves with the first message, already received or not, that matches.
+ */
+export async function connect(server) {
+	const ws = new WebSocket(`ws://localhost:${server.port}`);
+	const received = [];
+	const waiters = [];
+	let seq = 0;
+
+	ws.on("message", (data) => {
+		const msg = JSON.parse(String(data));
+		const i = waiters.findIndex(w => w.pred(msg));
+		if (i >= 0) waiters.splice(i, 1)[0].resolve(msg);
+		else received.push(msg);
+	});
+	const closed = new Promise(resolve => ws.on("close", (code) => resolve(code)));
+	await new Promise((resolve, reject) => {
+		ws.once("open", resolve);
+		ws.once("error", reject);
+	});
+
+	return {
+		received,
+		closed,
+		send(msg) {
+			const handshake = msg.type === "join" || msg.type === "create_room" ? { protocol: 1 } : {};
+			ws.send(JSON.stringify({ id: ++seq, ...handshake, ...msg }));
+			return seq;
+		},
+		next(pred, ms = 2000) {
+			const i = received.findIndex(pred);
+			if (i >= 0) return Promise.resolve(received.splice(i, 1)[0]);
+			return new Promise((resolve, reject) => {
+				const waiter = { pred, resolve };
+				waiters.push(waiter);
+				setTimeout(() => {
+					if (waiters.includes(waiter)) reject(new Error("Timed out waiting for a message."));
+				}, ms);
+			});
+		},
+		close: () => ws.close()
+	};
+}
+
+/**
+ * Creates a room over the WebSocket; resolves with the host's client and the `joined` message.
+ */
+export async function createRoom(server, name = "Host") {
+	const host = await connect(server);
+	host.send({ type: "create_room", name });
+	const joined = await host.next(m => m.type === "joined");
+	return { host, joined, roomId: joined.room.id, hostKey: joined.room.hostKey };
+}
+
+/**
+ * Joins `roomId` as a player; resolves with the client and the `joined` message.
+ */
+export async function joinRoom(server, roomId, fields = {}) {
+	const player = await connect(server);
+	player.send({ type: "join", roomId, ...fields });
+	const joined = await player.next(m => m.type === "joined" || m.type === "error");
+	return { player, joined };
+}
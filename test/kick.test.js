@@ -0,0 +1,37 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createRoom, joinRoom } from "./helpers.js";
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+/**
+ * Kicks Ann (with `ban`, if any) and has her join again with the token she
+ * kept and a different name, the way the page does after a kick.
+ */
+async function kickAndRejoin(ban) {
+	const { host, roomId } = await createRoom(server);
+	const { player: ann, joined } = await joinRoom(server, roomId, { name: "Ann" });
+
+	host.send({ type: "kick_player", playerId: joined.playerId, ...(ban ? { ban } : {}) });
+	await ann.next(m => m.type === "kicked");
+	await ann.closed;
+
+	const again = await joinRoom(server, roomId, { name: "Not Ann", token: joined.token });
+	for (const c of [host, again.player]) c.close();
+	return { first: joined, again: again.joined };
+}
+
+test("a session ban keeps a kicked player out when they join again under another name", async () => {
+	const { again } = await kickAndRejoin("session");
+	assert.equal(again.type, "error");
+	assert.equal(again.code, "BANNED");
+});
+
+test("a kick without a ban lets the player join again in a new seat", async () => {
+	const { first, again } = await kickAndRejoin(null);
+	assert.equal(again.type, "joined");
+	assert.notEqual(again.playerId, first.playerId);
+	assert.equal(again.resumed, false);
+});
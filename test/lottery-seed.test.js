@@ -0,0 +1,46 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createRoom, joinRoom } from "./helpers.js";
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+test("recomputing the same round reuses the lottery seed", async () => {
+	// Six tie for three seats, so the draw decides every run.
+	const { host, roomId } = await createRoom(server);
+	host.send({ type: "set_topics", topics: [{ id: "T", name: "T", capacity: 3 }, { id: "U", name: "U", capacity: 3 }] });
+	await host.next(m => m.type === "room_update" && m.room.topics.length === 2);
+
+	const players = [];
+	for (let i = 0; i < 6; i++) {
+		const { player, joined } = await joinRoom(server, roomId, { name: `P${i}` });
+		const id = player.send({ type: "bid", topicId: "T", amount: 10 });
+		await player.next(m => m.type === "ack" && m.id === id);
+		players.push({ client: player, id: joined.playerId });
+	}
+
+	const runs = [];
+	for (let i = 0; i < 5; i++) {
+		host.send({ type: "compute_winners" });
+		runs.push((await host.next(m => m.type === "run_preview")).run);
+	}
+	assert.equal(runs[0].settings.tieBreak, "lottery");
+	assert.equal(new Set(runs.map(r => r.settings.seed)).size, 1);
+	assert.equal(new Set(runs.map(r => JSON.stringify(r.winners.winnersByTopic.T))).size, 1);
+
+	// The next round draws again.
+	host.send({ type: "publish_results" });
+	await host.next(m => m.type === "winners");
+	host.send({ type: "next_round" });
+	await host.next(m => m.type === "room_update" && m.room.round === 2);
+	const loser = players.find(p => !runs[0].winners.winnersByTopic.T.includes(p.id)).client;
+	const id = loser.send({ type: "bid", topicId: "U", amount: 10 });
+	await loser.next(m => m.type === "ack" && m.id === id);
+	host.send({ type: "compute_winners" });
+	const { run } = await host.next(m => m.type === "run_preview");
+	assert.equal(run.round, 2);
+	assert.notEqual(run.settings.seed, runs[0].settings.seed);
+
+	for (const c of [host, ...players.map(p => p.client)]) c.close();
+});
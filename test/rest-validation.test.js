@@ -0,0 +1,85 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createRoom } from "./helpers.js";
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+async function roomWithTopics() {
+	const room = await createRoom(server);
+	const res = await server.api(`/rooms/${room.roomId}/topics`, {
+		method: "PUT",
+		token: room.hostKey,
+		body: { topics: [{ id: "a", name: "Alpha", capacity: 2 }, { id: "b", name: "Beta", capacity: 1 }] }
+	});
+	assert.equal(res.status, 200);
+	room.host.close();
+	return room;
+}
+
+async function topicsOf(room) {
+	const res = await server.api(`/rooms/${room.roomId}/topics`, { token: room.hostKey });
+	return res.json();
+}
+
+async function configOf(room) {
+	const res = await server.api(`/rooms/${room.roomId}/config`, { token: room.hostKey });
+	return (await res.json()).config;
+}
+
+for (const body of [{}, { topics: "x" }, { topics: { a: 1 } }, { topics: [null] }, { topics: [3] }]) {
+	test(`PUT /topics refuses ${JSON.stringify(body)} and keeps the topics`, async () => {
+		const room = await roomWithTopics();
+		const before = await topicsOf(room);
+
+		const res = await server.api(`/rooms/${room.roomId}/topics`, { method: "PUT", token: room.hostKey, body });
+		assert.equal(res.status, 400);
+		assert.ok((await res.json()).error);
+		assert.deepEqual(await topicsOf(room), before);
+	});
+}
+
+test("PUT /topics with an empty list clears the topics", async () => {
+	const room = await roomWithTopics();
+	const res = await server.api(`/rooms/${room.roomId}/topics`, { method: "PUT", token: room.hostKey, body: { topics: [] } });
+	assert.equal(res.status, 200);
+	assert.deepEqual(await topicsOf(room), []);
+});
+
+for (const body of [
+	{ budget: "lots" },
+	{ budget: "" },
+	{ budget: true },
+	{ maxAssignmentsPerPlayer: "abc" },
+	{ revealBids: "yes" },
+	{ teamsEnabled: 1 },
+	{ allocation: "nonsense" },
+	{ tieBreak: 5 },
+	// One bad field refuses the whole change, good fields included.
+	{ budget: 50, maxTeamSize: "big" }
+]) {
+	test(`PATCH /config refuses ${JSON.stringify(body)} and keeps the config`, async () => {
+		const room = await roomWithTopics();
+		const before = await configOf(room);
+
+		const res = await server.api(`/rooms/${room.roomId}/config`, { method: "PATCH", token: room.hostKey, body });
+		assert.equal(res.status, 400);
+		assert.ok((await res.json()).error);
+		assert.deepEqual(await configOf(room), before);
+	});
+}
+
+test("PATCH /config applies valid input", async () => {
+	const room = await roomWithTopics();
+	const res = await server.api(`/rooms/${room.roomId}/config`, {
+		method: "PATCH",
+		token: room.hostKey,
+		body: { budget: 50, maxAssignmentsPerPlayer: 2, revealBids: false }
+	});
+	assert.equal(res.status, 200);
+	const config = await configOf(room);
+	assert.equal(config.budget, 50);
+	assert.equal(config.maxAssignmentsPerPlayer, 2);
+	assert.equal(config.revealBids, false);
+});
@@ -0,0 +1,48 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createRoom, joinRoom, connect } from "./helpers.js";
+
+let server;
+before(async () => { server = await startServer({ PATCH_TICK_MS: "10" }); });
+after(() => server.stop());
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test("a sealed room keeps other players' spent totals from everyone but hosts", async () => {
+	const { host, roomId, hostKey } = await createRoom(server);
+	host.send({ type: "set_topics", topics: [{ id: "a", name: "Alpha" }] });
+	host.send({ type: "set_config", revealBids: false, showBidderCounts: false });
+	await host.next(m => m.type === "room_update" && m.room.config.revealBids === false);
+
+	const { player: ann, joined: annJoined } = await joinRoom(server, roomId, { name: "Ann" });
+	const { player: bob, joined: bobJoined } = await joinRoom(server, roomId, { name: "Bob" });
+	const annId = annJoined.playerId;
+	const observer = await connect(server);
+	observer.send({ type: "join", roomId, role: "observer" });
+	await observer.next(m => m.type === "joined");
+
+	// Any view of Ann, in a patch or a snapshot, that carries her total.
+	const showsTotal = (m) => [
+		...(m.patches ?? []).map(p => p.player),
+		...(m.room?.players ?? [])
+	].some(p => p?.id === annId && p.spent === 73);
+	const leaks = (client) => client.received.some(showsTotal);
+
+	ann.send({ type: "bid", topicId: "a", amount: 73 });
+	await ann.next(showsTotal);
+	await sleep(100);
+	assert.equal(leaks(bob), false);
+	assert.equal(leaks(observer), false);
+
+	bob.send({ type: "resync" });
+	const snapshot = await bob.next(m => m.type === "room_update");
+	assert.equal(snapshot.room.players.find(p => p.id === annId).spent, null);
+	assert.equal(snapshot.room.players.find(p => p.id === bobJoined.playerId).spent, 0);
+
+	const open = await (await server.api(`/rooms/${roomId}/players`)).json();
+	assert.equal(open.find(p => p.id === annId).spent, null);
+	const asHost = await (await server.api(`/rooms/${roomId}/players`, { token: hostKey })).json();
+	assert.equal(asHost.find(p => p.id === annId).spent, 73);
+
+	for (const c of [host, ann, bob, observer]) c.close();
+});
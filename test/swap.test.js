@@ -0,0 +1,62 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createRoom, joinRoom } from "./helpers.js";
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+/**
+ * Cat holds A, Dan holds B, Eve bid on nothing; six more tie on T (one seat),
+ * so the lottery decides T on every run.
+ */
+async function setUp() {
+	const { host, roomId } = await createRoom(server);
+	host.send({
+		type: "set_topics",
+		topics: [{ id: "A", name: "A" }, { id: "B", name: "B" }, { id: "T", name: "T" }]
+	});
+	await host.next(m => m.type === "room_update" && m.room.topics.length === 3);
+
+	const players = {};
+	for (const name of ["Cat", "Dan", "Eve", "P1", "P2", "P3", "P4", "P5", "P6"]) {
+		const { player, joined } = await joinRoom(server, roomId, { name });
+		players[name] = { client: player, id: joined.playerId };
+	}
+	const bid = async (name, topicId) => {
+		const { client } = players[name];
+		const id = client.send({ type: "bid", topicId, amount: 10 });
+		await client.next(m => m.type === "ack" && m.id === id);
+	};
+	await bid("Cat", "A");
+	await bid("Dan", "B");
+	for (const name of ["P1", "P2", "P3", "P4", "P5", "P6"]) await bid(name, "T");
+
+	host.send({ type: "compute_winners" });
+	const { run } = await host.next(m => m.type === "run_preview");
+	const close = () => [host, ...Object.values(players).map(p => p.client)].forEach(c => c.close());
+	return { host, players, run, close };
+}
+
+test("a swap reruns the lottery with the swapped run's seed", async () => {
+	const { host, players, run, close } = await setUp();
+
+	host.send({ type: "swap_players", playerA: players.Cat.id, playerB: players.Dan.id });
+	const { run: swapped } = await host.next(m => m.type === "run_preview");
+
+	assert.equal(swapped.settings.seed, run.settings.seed);
+	assert.deepEqual(swapped.winners.winnersByTopic.T, run.winners.winnersByTopic.T);
+	assert.deepEqual(swapped.winners.assignmentByPlayer[players.Cat.id], ["B"]);
+	assert.deepEqual(swapped.winners.assignmentByPlayer[players.Dan.id], ["A"]);
+	close();
+});
+
+test("a swap with a player who has no topic is refused", async () => {
+	const { host, players, close } = await setUp();
+
+	const id = host.send({ type: "swap_players", playerA: players.Dan.id, playerB: players.Eve.id });
+	const err = await host.next(m => m.type === "error" && m.id === id);
+	assert.equal(err.code, "INVALID");
+	assert.match(err.message, /Eve has no topic/);
+	close();
+});
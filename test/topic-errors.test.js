@@ -0,0 +1,22 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createRoom } from "./helpers.js";
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+test("set_topics and import_topics refuse bad topics with the same code", async () => {
+	const { host } = await createRoom(server);
+
+	const set = host.send({ type: "set_topics", topics: [null] });
+	assert.equal((await host.next(m => m.id === set)).code, "INVALID");
+
+	const dup = host.send({ type: "set_topics", topics: [{ id: "x" }, { id: "x" }] });
+	assert.equal((await host.next(m => m.id === dup)).code, "INVALID");
+
+	const imported = host.send({ type: "import_topics", format: "json", data: "[null]" });
+	assert.equal((await host.next(m => m.id === imported)).code, "INVALID");
+
+	host.close();
+});
@@ -0,0 +1,67 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createRoom } from "./helpers.js";
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+async function importCsv(room, csv) {
+	return fetch(`${server.url}/api/rooms/${room.roomId}/topics/import`, {
+		method: "POST",
+		headers: { authorization: `Bearer ${room.hostKey}`, "content-type": "text/csv" },
+		body: csv
+	});
+}
+
+async function roomWithTopics() {
+	const room = await createRoom(server);
+	room.host.close();
+	assert.equal((await importCsv(room, "id,name,capacity\nk,Kept,2\n")).status, 200);
+	return room;
+}
+
+async function topicsOf(room) {
+	return (await server.api(`/rooms/${room.roomId}/topics`, { token: room.hostKey })).json();
+}
+
+test("a CSV import with a repeated id is refused and changes nothing", async () => {
+	const room = await roomWithTopics();
+	const res = await importCsv(room, "id,name,capacity\nx,Alpha,1\nx,Beta,1\n");
+	assert.equal(res.status, 400);
+	assert.match((await res.json()).error, /"x" is used more than once/);
+	assert.deepEqual((await topicsOf(room)).map(t => t.id), ["k"]);
+});
+
+test("a JSON import or topic list with a repeated id is refused", async () => {
+	const room = await roomWithTopics();
+	const topics = [{ id: "x", name: "Alpha" }, { id: "x", name: "Beta" }];
+
+	const imported = await server.api(`/rooms/${room.roomId}/topics/import`, { method: "POST", token: room.hostKey, body: topics });
+	assert.equal(imported.status, 400);
+	const put = await server.api(`/rooms/${room.roomId}/topics`, { method: "PUT", token: room.hostKey, body: { topics } });
+	assert.equal(put.status, 400);
+	assert.deepEqual((await topicsOf(room)).map(t => t.id), ["k"]);
+});
+
+test("an import names the rows whose numbers don't parse", async () => {
+	const room = await roomWithTopics();
+	const res = await importCsv(room, "name,capacity,minCapacity\nAlpha,abc,\nBeta,2,1\nGamma,3,lots\n");
+	assert.equal(res.status, 400);
+	const { error } = await res.json();
+	assert.match(error, /Row 2: capacity "abc"/);
+	assert.match(error, /Row 4: minCapacity "lots"/);
+	assert.deepEqual((await topicsOf(room)).map(t => t.id), ["k"]);
+
+	const json = await server.api(`/rooms/${room.roomId}/topics/import`, { method: "POST", token: room.hostKey, body: [{ name: "A", capacity: "abc" }] });
+	assert.equal(json.status, 400);
+	assert.match((await json.json()).error, /Topic 1: capacity "abc"/);
+});
+
+test("empty number cells fall back to the defaults", async () => {
+	const room = await roomWithTopics();
+	const res = await importCsv(room, "id,name,capacity,maxPerPlayer\na,Alpha,,\nb,Beta,3,2\n");
+	assert.equal(res.status, 200);
+	const topics = await topicsOf(room);
+	assert.deepEqual(topics.map(t => [t.id, t.capacity, t.maxPerPlayer]), [["a", 1, 1], ["b", 3, 2]]);
+});